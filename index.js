@@ -4,7 +4,16 @@
  */
 
 const JSONCompare = require('./src/JSONCompare');
+const DiffFormatter = require('./src/DiffFormatter');
+const JSONPatch = require('./src/JSONPatch');
+const MergePatch = require('./src/MergePatch');
 
 // Export as both ES module and CommonJS
 module.exports = JSONCompare;
 module.exports.default = JSONCompare;
+module.exports.toJSONPatch = JSONPatch.fromResult;
+module.exports.applyDiff = JSONPatch.applyDiff;
+module.exports.revertDiff = JSONPatch.revertDiff;
+module.exports.DiffVerificationError = JSONPatch.DiffVerificationError;
+module.exports.toMergePatch = MergePatch.fromResult;
+module.exports.formatDiff = (obj1, obj2, result, options) => new DiffFormatter(options).format(obj1, obj2, result);
@@ -4,6 +4,9 @@
  */
 
 const PathUtils = require('./PathUtils');
+const Result = require('./Result');
+const RegexValidator = require('./RegexValidator');
+const SequenceDiff = require('./SequenceDiff');
 
 /**
  * Class for comparing objects
@@ -19,6 +22,13 @@ class Comparator {
     this.options = options;
     this.result = result;
     this.regexValidator = regexValidator;
+
+    // Objects currently being compared on each side, mapped to their paths
+    this._ancestors1 = new Map();
+    this._ancestors2 = new Map();
+
+    // Arrays reordered by a normalizer, mapped to the original index of each element
+    this._arrayOrders = new Map();
   }
 
   /**
@@ -34,9 +44,14 @@ class Comparator {
     
     const type = typeof value;
     
-    // For objects, we return 'object' unless it's a special built-in object
+    // For objects, we return 'object' unless it's a special built-in object.
+    // The constructor is read from the prototype, so objects without one
+    // (Object.create(null)) or with an own `constructor` key stay 'object'
     if (type === 'object') {
-      const constructor = value.constructor.name.toLowerCase();
+      const proto = Object.getPrototypeOf(value);
+      const constructor = proto !== null && typeof proto.constructor === 'function' && proto.constructor.name
+        ? proto.constructor.name.toLowerCase()
+        : 'object';
       return constructor !== 'object' ? constructor : 'object';
     }
     
@@ -50,63 +65,587 @@ class Comparator {
    * @param {string} path - Current path in the object
    */
   compareObjects(obj1 = {}, obj2 = {}, path = '') {
+    if (this._applyCustomComparator(obj1, obj2, path)) {
+      return;
+    }
+
     if (obj1 === null || obj2 === null) {
       this.compareValues(obj1, obj2, path);
       return;
     }
 
-    // Handle arrays
-    if (Array.isArray(obj1) && Array.isArray(obj2)) {
-      this.compareArrays(obj1, obj2, path);
+    // Handle different types and boxed primitives
+    if (typeof obj1 !== 'object' || typeof obj2 !== 'object' ||
+        this._isBoxed(obj1) || this._isBoxed(obj2)) {
+      this.compareValues(obj1, obj2, path);
       return;
     }
 
-    // Handle different types
-    if (typeof obj1 !== 'object' || typeof obj2 !== 'object') {
-      this.compareValues(obj1, obj2, path);
+    // Objects and arrays can be equivalent by rule, e.g. `{}` and `[]` as empty values
+    if (this._applyEquivalenceRule(obj1, obj2, path)) {
+      return;
+    }
+
+    // Beyond the depth limit, compare whole subtrees as opaque values
+    const maxDepth = this.options.maxDepth;
+    if (maxDepth !== null && maxDepth !== undefined && this._ancestors1.size >= maxDepth) {
+      this.compareSubtree(obj1, obj2, path);
+      return;
+    }
+
+    // Stop at back-references to an object that is already being compared
+    if (this._ancestors1.has(obj1) || this._ancestors2.has(obj2)) {
+      this.compareCircular(obj1, obj2, path);
       return;
     }
 
+    this._ancestors1.set(obj1, path);
+    this._ancestors2.set(obj2, path);
+    try {
+      if (Array.isArray(obj1) && Array.isArray(obj2)) {
+        this.compareArrays(obj1, obj2, path);
+      } else if (Array.isArray(obj1) || Array.isArray(obj2)) {
+        // An array and an object with the same indexed keys are still different values
+        this.compareValues(obj1, obj2, path);
+      } else if (this._isBinary(obj1) || this._isBinary(obj2)) {
+        if (this._isBinary(obj1) && this._isBinary(obj2)) {
+          this.compareBinary(obj1, obj2, path);
+        } else {
+          this.compareValues(obj1, obj2, path);
+        }
+      } else if (obj1 instanceof Date || obj2 instanceof Date) {
+        this._compareBuiltIn(obj1, obj2, path, Date, this.compareDates);
+      } else if (obj1 instanceof Map || obj2 instanceof Map) {
+        this._compareBuiltIn(obj1, obj2, path, Map, this.compareMaps);
+      } else if (obj1 instanceof Set || obj2 instanceof Set) {
+        this._compareBuiltIn(obj1, obj2, path, Set, this.compareSets);
+      } else {
+        this.compareKeys(obj1, obj2, path);
+      }
+    } finally {
+      this._ancestors1.delete(obj1);
+      this._ancestors2.delete(obj2);
+    }
+  }
+
+  /**
+   * Compare two subtrees with a structural equality check, reporting one
+   * entry for the whole subtree instead of descending into it
+   * @param {Object} obj1 - First subtree
+   * @param {Object} obj2 - Second subtree
+   * @param {string} path - Current path
+   */
+  compareSubtree(obj1, obj2, path) {
+    if (this.isEquivalent(obj1, obj2, path, { maxDepth: null })) {
+      this.result.addMatchedValue({
+        path,
+        value: obj1,
+        message: 'Subtrees match beyond maxDepth'
+      });
+    } else {
+      this.result.addUnmatchedValue({
+        path,
+        expected: obj1,
+        actual: obj2,
+        message: `Subtrees differ beyond maxDepth ${this.options.maxDepth}`
+      });
+    }
+    this.regexValidator.validateSubtree(obj2, path);
+  }
+
+  /**
+   * Compare two built-in objects of the same kind, or report a type mismatch
+   * when only one side is of that kind
+   * @param {Object} obj1 - First object
+   * @param {Object} obj2 - Second object
+   * @param {string} path - Current path
+   * @param {Function} kind - Built-in constructor, such as Map, Set or Date
+   * @param {Function} compare - Comparison method for two objects of that kind
+   * @private
+   */
+  _compareBuiltIn(obj1, obj2, path, kind, compare) {
+    if (obj1 instanceof kind && obj2 instanceof kind) {
+      compare.call(this, obj1, obj2, path);
+    } else {
+      this.compareValues(obj1, obj2, path);
+    }
+  }
+
+  /**
+   * Run the custom comparator configured for a path, if any, and record its verdict
+   * @param {*} val1 - First value
+   * @param {*} val2 - Second value
+   * @param {string} path - Path of the values
+   * @returns {boolean} Whether a custom comparator handled the values
+   * @private
+   */
+  _applyCustomComparator(val1, val2, path) {
+    const comparator = PathUtils.findByPattern(this.options.comparators, path);
+    if (typeof comparator !== 'function') {
+      return false;
+    }
+
+    const verdict = comparator(val1, val2, {
+      path,
+      key: PathUtils.getKeyNameFromPath(path),
+      options: this.options
+    });
+    const isObject = verdict !== null && typeof verdict === 'object';
+    const match = isObject ? Boolean(verdict.match) : Boolean(verdict);
+    const message = isObject ? verdict.message : undefined;
+
+    if (match) {
+      this.result.addMatchedValue({
+        path,
+        value: val1,
+        message: message || 'Values matched by custom comparator'
+      });
+    } else {
+      this.result.addUnmatchedValue({
+        path,
+        expected: val1,
+        actual: val2,
+        message: message || 'Custom comparator reported a mismatch'
+      });
+    }
+
+    this.regexValidator.validateSubtree(val2, path);
+    return true;
+  }
+
+  /**
+   * Compare two circular references by the path of the object they point back to
+   * @param {Object} obj1 - First object
+   * @param {Object} obj2 - Second object
+   * @param {string} path - Current path in the object
+   */
+  compareCircular(obj1, obj2, path) {
+    const target1 = this._ancestors1.get(obj1);
+    const target2 = this._ancestors2.get(obj2);
+    const describe = target => target === undefined ? '[Object]' : `[Circular → ${target || '(root)'}]`;
+
+    if (target1 !== undefined && target1 === target2) {
+      this.result.addMatchedValue({
+        path,
+        value: describe(target1),
+        circular: true,
+        message: `Both values refer back to ${target1 || '(root)'}`
+      });
+    } else {
+      this.result.addUnmatchedValue({
+        path,
+        expected: describe(target1),
+        actual: describe(target2),
+        circular: true,
+        message: 'Circular references do not match'
+      });
+    }
+  }
+
+  /**
+   * Compare the keys and values of two objects
+   * @param {Object} obj1 - First object
+   * @param {Object} obj2 - Second object
+   * @param {string} path - Current path in the object
+   */
+  compareKeys(obj1, obj2, path) {
+    if (this.options.checkPrototype) {
+      this._comparePrototypes(obj1, obj2, path);
+    }
+
     // Compare object keys
-    const keys1 = Object.keys(obj1).filter(key => !this.options.ignoredKeys.includes(key));
+    const keys1 = this._getKeys(obj1).filter(key => !this.options.ignoredKeys.includes(key));
+    const renamedKeys = this._pairRenamedKeys(keys1, obj1, obj2);
+    const pairedKeys2 = new Set(renamedKeys.values());
     
     for (const key of keys1) {
-      const newPath = PathUtils.buildPath(path, key);
+      const newPath = this._keyPath(path, key);
+      if (this._isIgnoredPath(newPath) || this._isMappedPath(newPath, 1)) {
+        continue;
+      }
       
       // Check if key exists in obj2
-      if (key in obj2) {
+      if (PathUtils.hasOwn(obj2, key)) {
         this.result.addMatchedKey(newPath);
-        
-        // Check value type/content
-        if (typeof obj1[key] === 'object' && obj1[key] !== null && 
-            typeof obj2[key] === 'object' && obj2[key] !== null) {
-          // Recursive comparison for nested objects
-          this.compareObjects(obj1[key], obj2[key], newPath);
-        } else {
-          this.compareValues(obj1[key], obj2[key], newPath);
-        }
+        this.compareChild(obj1[key], obj2[key], newPath);
+      } else if (renamedKeys.has(key)) {
+        // Compare under the original key name of each side
+        this.result.addMatchedKey(newPath);
+        const key2 = renamedKeys.get(key);
+        const actualPath = PathUtils.buildPath(this.result.getActualPath(path), key2);
+        const actualPointer = () => PathUtils.buildPointer(this.result.getActualPointer(path), typeof key2 === 'symbol' ? null : key2);
+        this._compareAliased(obj1[key], obj2[key2], newPath, actualPath, actualPointer);
+      } else if (this._equalsMissingKey(obj1[key])) {
+        this._addMissingKeyMatch(newPath, obj1[key], 2);
       } else {
-        this.result.addUnmatchedKey({
-          path: newPath,
-          value: obj1[key],
-          message: `Key exists in object 1 but not in object 2`
-        });
+        this._addOneSidedKey(obj1[key], newPath, 1, this._describeKey(obj1, key));
       }
     }
 
     // Check for extra keys in obj2 if not ignoring them
     if (!this.options.ignoreExtraKeys) {
-      for (const key of Object.keys(obj2)) {
-        if (!this.options.ignoredKeys.includes(key) && !(key in obj1)) {
-          const newPath = PathUtils.buildPath(path, key);
-          this.result.addUnmatchedKey({
-            path: newPath,
-            value: obj2[key],
-            message: `Key exists in object 2 but not in object 1`
-          });
+      for (const key of this._getKeys(obj2)) {
+        if (!this.options.ignoredKeys.includes(key) && !PathUtils.hasOwn(obj1, key) && !pairedKeys2.has(key)) {
+          const newPath = this._keyPath(path, key);
+          if (this._isIgnoredPath(newPath) || this._isMappedPath(this.result.getActualPath(newPath), 2)) {
+            continue;
+          }
+          if (this._equalsMissingKey(obj2[key])) {
+            this._addMissingKeyMatch(newPath, obj2[key], 1);
+            continue;
+          }
+          this._addOneSidedKey(obj2[key], newPath, 2, this._describeKey(obj2, key));
+        }
+      }
+    }
+  }
+
+  /**
+   * Get the own keys of an object to compare: enumerable string keys, plus
+   * symbol keys and non-enumerable properties when enabled in the options
+   * @param {Object} obj - Object to get keys from
+   * @returns {Array<string|symbol>} Keys to compare
+   * @private
+   */
+  _getKeys(obj) {
+    const { includeSymbolKeys, includeNonEnumerable } = this.options;
+    if (!includeSymbolKeys && !includeNonEnumerable) {
+      return Object.keys(obj);
+    }
+
+    return Reflect.ownKeys(obj).filter(key => {
+      if (typeof key === 'symbol' && !includeSymbolKeys) {
+        return false;
+      }
+      return includeNonEnumerable || Object.prototype.propertyIsEnumerable.call(obj, key);
+    });
+  }
+
+  /**
+   * Build the path of an object key, recording its key for JSON Pointers
+   * @param {string} path - Path of the object
+   * @param {string|symbol} key - Key to add
+   * @returns {string} Path of the key
+   * @private
+   */
+  _keyPath(path, key) {
+    const newPath = PathUtils.buildPath(path, key);
+    this.result.enterPath(newPath, path, typeof key === 'symbol' ? null : key);
+    return newPath;
+  }
+
+  /**
+   * Build the path of an array element, recording its index for JSON Pointers
+   * @param {string} path - Path of the array
+   * @param {number} index - Index of the element
+   * @returns {string} Path of the element
+   * @private
+   */
+  _indexPath(path, index) {
+    const newPath = PathUtils.buildArrayPath(path, index);
+    this.result.enterPath(newPath, path, index);
+    return newPath;
+  }
+
+  /**
+   * Record that a Map or Set entry has no JSON Pointer, so that it is not
+   * taken for an object key or array element with the same path
+   * @param {string} newPath - Path of the entry
+   * @param {string} path - Path of the Map or Set
+   * @returns {string} Path of the entry
+   * @private
+   */
+  _memberPath(newPath, path) {
+    this.result.enterPath(newPath, path, null);
+    return newPath;
+  }
+
+  /**
+   * Describe the kind of an object key for result messages
+   * @param {Object} obj - Object that owns the key
+   * @param {string|symbol} key - Key to describe
+   * @returns {string} 'Symbol key', 'Non-enumerable property' or 'Key'
+   * @private
+   */
+  _describeKey(obj, key) {
+    if (typeof key === 'symbol') {
+      return 'Symbol key';
+    }
+    if (!Object.prototype.propertyIsEnumerable.call(obj, key)) {
+      return 'Non-enumerable property';
+    }
+    return 'Key';
+  }
+
+  /**
+   * Report objects whose prototypes differ, e.g. a class instance and a plain object
+   * @param {Object} obj1 - First object
+   * @param {Object} obj2 - Second object
+   * @param {string} path - Current path
+   * @private
+   */
+  _comparePrototypes(obj1, obj2, path) {
+    const proto1 = Object.getPrototypeOf(obj1);
+    const proto2 = Object.getPrototypeOf(obj2);
+    if (proto1 === proto2) {
+      return;
+    }
+
+    const name = proto => {
+      if (proto === null) return 'null';
+      return (proto.constructor && proto.constructor.name) || 'anonymous';
+    };
+    this.result.addUnmatchedType({
+      path,
+      expected: name(proto1),
+      actual: name(proto2),
+      message: `Prototype differs: ${name(proto1)} vs ${name(proto2)}`
+    });
+  }
+
+  /**
+   * Report a key that exists in only one object. When pathMap moves fields
+   * out of its value, only the keys that are not mapped elsewhere are reported.
+   * @param {*} value - Value of the key
+   * @param {string} path - Path of the key
+   * @param {number} side - Which object has the key (1 or 2)
+   * @param {string} [label='Key'] - Kind of key, used in the message
+   * @private
+   */
+  _addOneSidedKey(value, path, side, label = 'Key') {
+    const mappedPath = side === 1 ? path : this.result.getActualPath(path);
+    if (value !== null && typeof value === 'object' && !Array.isArray(value) &&
+        this._hasMappedPathBelow(mappedPath, side)) {
+      for (const key of Object.keys(value)) {
+        const childPath = this._keyPath(path, key);
+        const childMappedPath = side === 1 ? childPath : this.result.getActualPath(childPath);
+        if (this.options.ignoredKeys.includes(key) || this._isIgnoredPath(childPath) ||
+            this._isMappedPath(childMappedPath, side)) {
+          continue;
+        }
+        this._addOneSidedKey(value[key], childPath, side);
+      }
+      return;
+    }
+
+    this.result.addUnmatchedKey({
+      path,
+      value,
+      change: side === 1 ? 'removed' : 'added',
+      message: side === 1
+        ? `${label} exists in object 1 but not in object 2`
+        : `${label} exists in object 2 but not in object 1`
+    });
+  }
+
+  /**
+   * Compare two values found under different paths, reporting entries under
+   * the first object's path with the second object's path as `actualPath`
+   * @param {*} val1 - First value
+   * @param {*} val2 - Second value
+   * @param {string} path - Path in the first object
+   * @param {string} actualPath - Path in the second object
+   * @param {string|Function|null} actualPointer - JSON Pointer in the second object, a
+   * function building it, or null when there is none
+   * @private
+   */
+  _compareAliased(val1, val2, path, actualPath, actualPointer) {
+    this.result.pushPathAlias(path, actualPath, actualPointer);
+    try {
+      this.compareChild(val1, val2, path);
+    } finally {
+      this.result.popPathAlias();
+    }
+  }
+
+  /**
+   * Compare the values moved by the pathMap option, pairing each path in the
+   * first object with its mapped path in the second object
+   * @param {Object} obj1 - First root object
+   * @param {Object} obj2 - Second root object
+   */
+  compareMappedPaths(obj1, obj2) {
+    for (const [path, actualPath] of Object.entries(this.options.pathMap)) {
+      this.result.setPointer(path, PathUtils.toPointer(path));
+      const exists1 = PathUtils.hasPath(obj1, path);
+      const exists2 = PathUtils.hasPath(obj2, actualPath);
+      const val1 = PathUtils.getValueAtPath(obj1, path);
+      const val2 = PathUtils.getValueAtPath(obj2, actualPath);
+
+      if (exists1 && exists2) {
+        this.result.addMatchedKey(path);
+        this._compareAliased(val1, val2, path, actualPath, PathUtils.toPointer(actualPath));
+      } else if (exists1) {
+        this.result.addUnmatchedKey({
+          path,
+          actualPath,
+          actualPointer: PathUtils.toPointer(actualPath),
+          value: val1,
+          change: 'removed',
+          message: `Key exists in object 1 but mapped key "${actualPath}" does not exist in object 2`
+        });
+      } else if (exists2 && !this.options.ignoreExtraKeys) {
+        this.result.addUnmatchedKey({
+          path,
+          actualPath,
+          actualPointer: PathUtils.toPointer(actualPath),
+          value: val2,
+          change: 'added',
+          message: `Mapped key "${actualPath}" exists in object 2 but "${path}" does not exist in object 1`
+        });
+      }
+    }
+  }
+
+  /**
+   * Compare two root objects, including the paths moved by the pathMap option
+   * @param {Object} obj1 - First root object
+   * @param {Object} obj2 - Second root object
+   */
+  compareRoot(obj1, obj2) {
+    const [val1, val2] = this._normalize(obj1, obj2, '');
+    this._compareNormalized(obj1, obj2, val1, val2, '', () => this.compareObjects(val1, val2, ''));
+    this.compareMappedPaths(val1, val2);
+  }
+
+  /**
+   * Check whether a path is moved by the pathMap option
+   * @param {string} path - Path in the given object
+   * @param {number} side - Which object the path belongs to (1 or 2)
+   * @returns {boolean} Whether the path is mapped
+   * @private
+   */
+  _isMappedPath(path, side) {
+    const pathMap = this.options.pathMap;
+    return side === 1
+      ? PathUtils.hasOwn(pathMap, path)
+      : Object.values(pathMap).includes(path);
+  }
+
+  /**
+   * Check whether any path moved by the pathMap option lies below a path
+   * @param {string} path - Path in the given object
+   * @param {number} side - Which object the path belongs to (1 or 2)
+   * @returns {boolean} Whether a mapped path is nested under the path
+   * @private
+   */
+  _hasMappedPathBelow(path, side) {
+    const pathMap = this.options.pathMap;
+    const mapped = side === 1 ? Object.keys(pathMap) : Object.values(pathMap);
+    return mapped.some(mappedPath => PathUtils.isDescendantPath(mappedPath, path));
+  }
+
+  /**
+   * Pair keys of obj1 missing from obj2 with differently named keys of obj2,
+   * renamed by the keyMap option or equal under the keyNormalizer option
+   * @param {string[]} keys1 - Keys of obj1 being compared
+   * @param {Object} obj1 - First object
+   * @param {Object} obj2 - Second object
+   * @returns {Map<string, string>} Keys of obj1 mapped to their counterpart in obj2
+   * @private
+   */
+  _pairRenamedKeys(keys1, obj1, obj2) {
+    const pairs = new Map();
+
+    // Explicit renames from keyMap take precedence
+    const keyMap = this.options.keyMap;
+    const claimed = new Set();
+    for (const key1 of keys1) {
+      const key2 = PathUtils.hasOwn(keyMap, key1) ? keyMap[key1] : undefined;
+      if (!PathUtils.hasOwn(obj2, key1) && key2 !== undefined && PathUtils.hasOwn(obj2, key2) &&
+          !PathUtils.hasOwn(obj1, key2) && !claimed.has(key2)) {
+        pairs.set(key1, key2);
+        claimed.add(key2);
+      }
+    }
+
+    if (!this.options.keyNormalizer) {
+      return pairs;
+    }
+
+    // Only keys without an exact counterpart take part in normalised pairing
+    const candidates = new Map();
+    for (const key2 of Object.keys(obj2)) {
+      if (!PathUtils.hasOwn(obj1, key2) && !claimed.has(key2) && !this.options.ignoredKeys.includes(key2)) {
+        const normalized = this._normalizeKey(key2);
+        if (!candidates.has(normalized)) {
+          candidates.set(normalized, []);
         }
+        candidates.get(normalized).push(key2);
+      }
+    }
+
+    for (const key1 of keys1) {
+      if (typeof key1 === 'symbol' || PathUtils.hasOwn(obj2, key1) || pairs.has(key1)) {
+        continue;
+      }
+      const matches = candidates.get(this._normalizeKey(key1));
+      if (matches && matches.length > 0) {
+        pairs.set(key1, matches.shift());
       }
     }
+
+    return pairs;
+  }
+
+  /**
+   * Normalise a key name with the keyNormalizer option
+   * @param {string} key - Key name
+   * @returns {string} Normalised key name
+   * @private
+   */
+  _normalizeKey(key) {
+    const normalizer = this.options.keyNormalizer;
+    if (typeof normalizer === 'function') {
+      return normalizer(key);
+    }
+    switch (normalizer) {
+      case 'caseInsensitive':
+        return key.toLowerCase();
+      case 'snakeCamelKebab':
+        return key
+          .replace(/([A-Z]+)([A-Z][a-z])/g, '$1_$2')
+          .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+          .replace(/[-_\s]+/g, '_')
+          .toLowerCase();
+      default:
+        throw new Error(`Unknown keyNormalizer "${normalizer}"`);
+    }
+  }
+
+  /**
+   * Check whether the missingKeyPolicy lets a value stand in for a missing key
+   * @param {*} value - Value present on the other side
+   * @returns {boolean} Whether the value is equivalent to a missing key
+   * @private
+   */
+  _equalsMissingKey(value) {
+    switch (this.options.missingKeyPolicy) {
+      case 'undefinedEqualsMissing':
+        return value === undefined;
+      case 'nullEqualsMissing':
+        return value === undefined || value === null;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Record a key that is missing on one side but matched under the missingKeyPolicy
+   * @param {string} path - Path of the key
+   * @param {*} value - Value present on the other side
+   * @param {number} missingIn - Which object lacks the key (1 or 2)
+   * @private
+   */
+  _addMissingKeyMatch(path, value, missingIn) {
+    const policy = this.options.missingKeyPolicy;
+    this.result.addMatchedKey(path);
+    this.result.addMatchedValue({
+      path,
+      value,
+      missingKeyPolicy: policy,
+      message: `Key missing in object ${missingIn} treated as ${value} by missingKeyPolicy "${policy}"`
+    });
   }
 
   /**
@@ -116,12 +655,37 @@ class Comparator {
    * @param {string} path - Current path
    */
   compareArrays(arr1, arr2, path) {
+    // Arrays reordered by a normalizer pair up in their normalised order
+    if (this._arrayOrders.has(arr1) || this._arrayOrders.has(arr2)) {
+      this.compareArraysInOrder(arr1, arr2, path, this._arrayOrders.get(arr1), this._arrayOrders.get(arr2));
+      return;
+    }
+
+    // Pair elements by identity key when one is configured for this path
+    const keyField = PathUtils.findByPattern(this.options.arrayKeys, path);
+    if (keyField !== undefined) {
+      this.compareArraysByKey(arr1, arr2, path, keyField);
+      return;
+    }
+
+    if (this._isPathEnabled(this.options.unorderedArrays, path)) {
+      this.compareArraysUnordered(arr1, arr2, path);
+      return;
+    }
+
+    if (this._isPathEnabled(this.options.sequenceDiff, path)) {
+      this.compareArraysAsSequence(arr1, arr2, path);
+      return;
+    }
+
     // Check if array lengths match
     if (arr1.length !== arr2.length) {
       this.result.addUnmatchedValue({
         path,
         expected: `Array of length ${arr1.length}`,
         actual: `Array of length ${arr2.length}`,
+        expectedLength: arr1.length,
+        actualLength: arr2.length,
         message: 'Array lengths do not match'
       });
     }
@@ -129,100 +693,1322 @@ class Comparator {
     // Compare array elements
     const minLength = Math.min(arr1.length, arr2.length);
     for (let i = 0; i < minLength; i++) {
-      const newPath = PathUtils.buildArrayPath(path, i);
-      if (typeof arr1[i] === 'object' && arr1[i] !== null && 
-          typeof arr2[i] === 'object' && arr2[i] !== null) {
-        this.compareObjects(arr1[i], arr2[i], newPath);
-      } else {
-        this.compareValues(arr1[i], arr2[i], newPath);
+      const newPath = this._indexPath(path, i);
+      if (!this._isIgnoredPath(newPath)) {
+        this.compareChild(arr1[i], arr2[i], newPath);
       }
     }
 
     // Report extra elements
     for (let i = minLength; i < arr1.length; i++) {
-      const newPath = PathUtils.buildArrayPath(path, i);
+      const newPath = this._indexPath(path, i);
+      if (this._isIgnoredPath(newPath)) {
+        continue;
+      }
       this.result.addUnmatchedValue({
         path: newPath,
         expected: arr1[i],
         actual: undefined,
+        index1: i,
+        change: 'removed',
         message: 'Extra element in first array'
       });
     }
 
     for (let i = minLength; i < arr2.length; i++) {
-      const newPath = PathUtils.buildArrayPath(path, i);
+      const newPath = this._indexPath(path, i);
+      if (this._isIgnoredPath(newPath)) {
+        continue;
+      }
       this.result.addUnmatchedValue({
         path: newPath,
         expected: undefined,
         actual: arr2[i],
+        index2: i,
+        change: 'added',
         message: 'Extra element in second array'
       });
     }
   }
 
   /**
-   * Compare two primitive values
-   * @param {*} val1 - First value
-   * @param {*} val2 - Second value
+   * Compare two arrays reordered by a normalizer position by position,
+   * reporting each element at its index in the original array
+   * @param {Array} arr1 - First normalised array
+   * @param {Array} arr2 - Second normalised array
    * @param {string} path - Current path
+   * @param {number[]} [order1] - Original index of each element of arr1; identity when omitted
+   * @param {number[]} [order2] - Original index of each element of arr2; identity when omitted
    */
-  compareValues(val1, val2, path) {
-    // Get specific types
-    const type1 = this.getValueType(val1);
-    const type2 = this.getValueType(val2);
-
-    // Check for equivalent values as defined in options
-    for (const [key, values] of Object.entries(this.options.equivalentValues)) {
-      if (Array.isArray(values) && values.includes(val1) && values.includes(val2)) {
-        this.result.addMatchedValue({
-          path,
-          value: `${val1} ≈ ${val2}`,
-          type1,
-          type2,
-          message: `Values considered equivalent by rule "${key}"`
-        });
-        return;
-      }
-    }
+  compareArraysInOrder(arr1, arr2, path, order1, order2) {
+    const index1 = k => (order1 ? order1[k] : k);
+    const index2 = k => (order2 ? order2[k] : k);
 
-    // Check specific types
-    if (type1 !== type2) {
-      this.result.addUnmatchedType({
+    if (arr1.length !== arr2.length) {
+      this.result.addUnmatchedValue({
         path,
-        expected: type1,
-        actual: type2,
-        message: `Types do not match: expected '${type1}', got '${type2}'`
+        expected: `Array of length ${arr1.length}`,
+        actual: `Array of length ${arr2.length}`,
+        expectedLength: arr1.length,
+        actualLength: arr2.length,
+        message: 'Array lengths do not match'
       });
-      
-      if (this.options.strictTypes) {
-        return; // Stop comparison if strict type checking is enabled
+    }
+
+    const minLength = Math.min(arr1.length, arr2.length);
+    for (let k = 0; k < minLength; k++) {
+      const [i, j] = [index1(k), index2(k)];
+      const newPath = this._indexPath(path, i);
+      if (this._isIgnoredPath(newPath)) {
+        continue;
       }
+      this._withElementAlias(path, i, j, () => this.compareChild(arr1[k], arr2[k], newPath));
     }
 
-    // Compare values - use strict equality for strict mode, loose equality for non-strict mode
+    for (let k = minLength; k < arr1.length; k++) {
+      const newPath = this._indexPath(path, index1(k));
+      if (!this._isIgnoredPath(newPath)) {
+        this.result.addUnmatchedValue({
+          path: newPath,
+          expected: arr1[k],
+          actual: undefined,
+          index1: index1(k),
+          change: 'removed',
+          message: 'Extra element in first array'
+        });
+      }
+    }
+
+    for (let k = minLength; k < arr2.length; k++) {
+      const newPath = this._indexPath(path, index2(k));
+      if (!this._isIgnoredPath(newPath)) {
+        this.result.addUnmatchedValue({
+          path: newPath,
+          expected: undefined,
+          actual: arr2[k],
+          index2: index2(k),
+          change: 'added',
+          message: 'Extra element in second array'
+        });
+      }
+    }
+  }
+
+  /**
+   * Compare two arrays by pairing elements on an identity key
+   * @param {Array} arr1 - First array
+   * @param {Array} arr2 - Second array
+   * @param {string} path - Current path
+   * @param {string} keyField - Name of the identity key of each element
+   */
+  compareArraysByKey(arr1, arr2, path, keyField) {
+    // Queue the indices of arr2 per key so duplicate keys pair in order
+    const indicesByKey = new Map();
+    arr2.forEach((item, j) => {
+      const key = this._getElementKey(item, keyField);
+      if (!indicesByKey.has(key)) {
+        indicesByKey.set(key, []);
+      }
+      indicesByKey.get(key).push(j);
+    });
+
+    const paired = new Set();
+    arr1.forEach((item, i) => {
+      const key = this._getElementKey(item, keyField);
+      const candidates = indicesByKey.get(key);
+      const newPath = this._indexPath(path, i);
+
+      if (candidates && candidates.length > 0) {
+        const j = candidates.shift();
+        paired.add(j);
+        // Report differences inside the element with its index in the second array
+        this._withElementAlias(path, i, j, () => this.compareChild(item, arr2[j], newPath));
+      } else {
+        this.result.addUnmatchedValue({
+          path: newPath,
+          expected: item,
+          actual: undefined,
+          key,
+          index1: i,
+          change: 'removed',
+          message: `Element with ${keyField} "${key}" exists in first array but not in second`
+        });
+      }
+    });
+
+    arr2.forEach((item, j) => {
+      if (!paired.has(j)) {
+        const key = this._getElementKey(item, keyField);
+        this.result.addUnmatchedValue({
+          path: this._indexPath(path, j),
+          expected: undefined,
+          actual: item,
+          key,
+          index2: j,
+          change: 'added',
+          message: `Element with ${keyField} "${key}" exists in second array but not in first`
+        });
+      }
+    });
+  }
+
+  /**
+   * Compare two arrays as multisets, ignoring element order.
+   * Elements are paired with a maximum bipartite matching so that only
+   * elements without any equivalent counterpart are reported.
+   * @param {Array} arr1 - First array
+   * @param {Array} arr2 - Second array
+   * @param {string} path - Current path
+   */
+  compareArraysUnordered(arr1, arr2, path) {
+    const { pairOf1, pairOf2 } = this._pairUnordered(arr1, arr2, path);
+
+    pairOf1.forEach((j, i) => {
+      const newPath = this._indexPath(path, i);
+      if (j !== -1) {
+        this.result.addMatchedValue({
+          path: newPath,
+          value: arr1[i],
+          index1: i,
+          index2: j,
+          message: `Element [${i}] matched element [${j}] of second array`
+        });
+        this._validatePairedElement(arr2[j], path, i, j);
+      } else {
+        this.result.addUnmatchedValue({
+          path: newPath,
+          expected: arr1[i],
+          actual: undefined,
+          index1: i,
+          change: 'removed',
+          message: `Element [${i}] of first array has no match in second array`
+        });
+      }
+    });
+
+    pairOf2.forEach((i, j) => {
+      if (i === -1) {
+        this.result.addUnmatchedValue({
+          path: this._indexPath(path, j),
+          expected: undefined,
+          actual: arr2[j],
+          index2: j,
+          change: 'added',
+          message: `Element [${j}] of second array has no match in first array`
+        });
+      }
+    });
+  }
+
+  /**
+   * Run the regex checks on an element of the second array that was paired
+   * with an element of the first array without comparing them key by key.
+   * Values are checked under the first array's index, with the second
+   * array's index as `actualPath`, as for elements paired by `arrayKeys`.
+   * @param {*} item - Element of the second array
+   * @param {string} path - Path of the arrays
+   * @param {number} index1 - Index of the paired element in the first array
+   * @param {number} index2 - Index of the element in the second array
+   * @private
+   */
+  _validatePairedElement(item, path, index1, index2) {
+    const newPath = PathUtils.buildArrayPath(path, index1);
+    this._withElementAlias(path, index1, index2, () => this.regexValidator.validateSubtree(item, newPath));
+  }
+
+  /**
+   * Run a callback while paths inside an element of the first array are
+   * reported with the paired element's index in the second array as `actualPath`
+   * @param {string} path - Path of the arrays
+   * @param {number} index1 - Index of the element in the first array
+   * @param {number} index2 - Index of the paired element in the second array
+   * @param {Function} callback - Function to run
+   * @private
+   */
+  _withElementAlias(path, index1, index2, callback) {
+    if (index1 === index2) {
+      callback();
+      return;
+    }
+
+    const actualPath = PathUtils.buildArrayPath(this.result.getActualPath(path), index2);
+    const actualPointer = () => PathUtils.buildPointer(this.result.getActualPointer(path), index2);
+    this.result.pushPathAlias(PathUtils.buildArrayPath(path, index1), actualPath, actualPointer);
+    try {
+      callback();
+    } finally {
+      this.result.popPathAlias();
+    }
+  }
+
+  /**
+   * Pair equivalent elements of two collections regardless of their order
+   * @param {Array} arr1 - First collection
+   * @param {Array} arr2 - Second collection
+   * @param {string} path - Path of the collections
+   * @returns {{pairOf1: number[], pairOf2: number[]}} Index of the paired element on
+   * the other side for every element, or -1 when it has no counterpart
+   * @private
+   */
+  _pairUnordered(arr1, arr2, path) {
+    const { keys1, keys2, matches } = this._elementMatcher(arr1, arr2, path);
+    const pairOf2 = new Array(arr2.length).fill(-1);
+
+    // Identical elements pair up in order through their canonical key
+    const indicesByKey = new Map();
+    keys2.forEach((key, j) => {
+      if (key !== undefined) {
+        if (!indicesByKey.has(key)) {
+          indicesByKey.set(key, []);
+        }
+        indicesByKey.get(key).push(j);
+      }
+    });
+    const unpaired = [];
+    keys1.forEach((key, i) => {
+      const indices = key !== undefined ? indicesByKey.get(key) : undefined;
+      if (indices && indices.length > 0) {
+        pairOf2[indices.shift()] = i;
+      } else {
+        unpaired.push(i);
+      }
+    });
+
+    // Kuhn's augmenting path algorithm completes the pairing into a maximum
+    // matching; candidates are visited starting at the same index
+    const tryPair = (i, visited) => {
+      for (let offset = 0; offset < arr2.length; offset++) {
+        const j = (i + offset) % arr2.length;
+        if (visited[j] || !matches(i, j)) {
+          continue;
+        }
+        visited[j] = 1;
+        if (pairOf2[j] === -1 || tryPair(pairOf2[j], visited)) {
+          pairOf2[j] = i;
+          return true;
+        }
+      }
+      return false;
+    };
+
+    for (const i of unpaired) {
+      tryPair(i, new Uint8Array(arr2.length));
+    }
+
+    const pairOf1 = new Array(arr1.length).fill(-1);
+    pairOf2.forEach((i, j) => {
+      if (i !== -1) {
+        pairOf1[i] = j;
+      }
+    });
+
+    return { pairOf1, pairOf2 };
+  }
+
+  /**
+   * Compare two Maps entry by entry, pairing entries by key
+   * @param {Map} map1 - First map
+   * @param {Map} map2 - Second map
+   * @param {string} path - Current path
+   */
+  compareMaps(map1, map2, path) {
+    for (const [key, value] of map1) {
+      if (this.options.ignoredKeys.includes(key)) {
+        continue;
+      }
+
+      const newPath = this._memberPath(PathUtils.buildMapPath(path, key), path);
+      if (this._isIgnoredPath(newPath)) {
+        continue;
+      }
+
+      if (map2.has(key)) {
+        this.result.addMatchedKey(newPath);
+        this.compareChild(value, map2.get(key), newPath);
+      } else {
+        this.result.addUnmatchedKey({
+          path: newPath,
+          value,
+          change: 'removed',
+          message: 'Map key exists in map 1 but not in map 2'
+        });
+      }
+    }
+
+    if (!this.options.ignoreExtraKeys) {
+      for (const [key, value] of map2) {
+        const newPath = this._memberPath(PathUtils.buildMapPath(path, key), path);
+        if (!this.options.ignoredKeys.includes(key) && !map1.has(key) && !this._isIgnoredPath(newPath)) {
+          this.result.addUnmatchedKey({
+            path: newPath,
+            value,
+            change: 'added',
+            message: 'Map key exists in map 2 but not in map 1'
+          });
+        }
+      }
+    }
+  }
+
+  /**
+   * Compare two Sets as unordered collections
+   * @param {Set} set1 - First set
+   * @param {Set} set2 - Second set
+   * @param {string} path - Current path
+   */
+  compareSets(set1, set2, path) {
+    const items1 = [...set1];
+    const items2 = [...set2];
+    const { pairOf1, pairOf2 } = this._pairUnordered(items1, items2, path);
+
+    pairOf1.forEach((j, i) => {
+      const newPath = this._memberPath(PathUtils.buildArrayPath(path, i), path);
+      if (j !== -1) {
+        this.result.addMatchedValue({
+          path: newPath,
+          value: items1[i],
+          message: 'Set element found in both sets'
+        });
+      } else {
+        this.result.addUnmatchedValue({
+          path: newPath,
+          expected: items1[i],
+          actual: undefined,
+          change: 'removed',
+          message: 'Set element exists in set 1 but not in set 2'
+        });
+      }
+    });
+
+    pairOf2.forEach((i, j) => {
+      if (i === -1) {
+        this.result.addUnmatchedValue({
+          path: this._memberPath(PathUtils.buildArrayPath(path, j), path),
+          expected: undefined,
+          actual: items2[j],
+          change: 'added',
+          message: 'Set element exists in set 2 but not in set 1'
+        });
+      }
+    });
+  }
+
+  /**
+   * Compare two binary buffers (Buffer, typed arrays, DataView or ArrayBuffer)
+   * byte by byte, reporting a single entry with the first differing offset
+   * @param {ArrayBuffer|ArrayBufferView} bin1 - First buffer
+   * @param {ArrayBuffer|ArrayBufferView} bin2 - Second buffer
+   * @param {string} path - Current path
+   */
+  compareBinary(bin1, bin2, path) {
+    const type1 = this.getValueType(bin1);
+    const type2 = this.getValueType(bin2);
+
+    if (type1 !== type2) {
+      this.result.addUnmatchedType({
+        path,
+        expected: type1,
+        actual: type2,
+        expectedValue: bin1,
+        actualValue: bin2,
+        message: `Types do not match: expected '${type1}', got '${type2}'`
+      });
+
+      if (this.options.strictTypes) {
+        return;
+      }
+    }
+
+    const bytes1 = this._toBytes(bin1);
+    const bytes2 = this._toBytes(bin2);
+    const length = Math.min(bytes1.length, bytes2.length);
+
+    let offset = 0;
+    while (offset < length && bytes1[offset] === bytes2[offset]) {
+      offset++;
+    }
+
+    if (offset === length && bytes1.length === bytes2.length) {
+      this.result.addMatchedValue({
+        path,
+        value: `${bin1.constructor.name}(${bytes1.length} bytes)`,
+        type: type1
+      });
+      return;
+    }
+
+    const message = offset === length
+      ? `Binary lengths do not match: ${bytes1.length} vs ${bytes2.length} bytes`
+      : `Binary data differs at byte offset ${offset}`;
+
+    this.result.addUnmatchedValue({
+      path,
+      expected: bin1,
+      actual: bin2,
+      expectedType: type1,
+      actualType: type2,
+      offset,
+      message
+    });
+  }
+
+  /**
+   * Compare two Dates by the instant they represent
+   * @param {Date} date1 - First date
+   * @param {Date} date2 - Second date
+   * @param {string} path - Current path
+   */
+  compareDates(date1, date2, path) {
+    const time1 = date1.getTime();
+    const time2 = date2.getTime();
+    const invalid1 = Number.isNaN(time1);
+    const invalid2 = Number.isNaN(time2);
+
+    if (invalid1 || invalid2) {
+      let side = 'both objects';
+      if (!invalid2) side = 'object 1';
+      if (!invalid1) side = 'object 2';
+      this.result.addUnmatchedValue({
+        path,
+        expected: date1,
+        actual: date2,
+        expectedType: 'date',
+        actualType: 'date',
+        message: `Invalid date in ${side}`
+      });
+      return;
+    }
+
+    const delta = Math.abs(time1 - time2);
+    const tolerance = this.options.dateToleranceMs;
+
+    if (delta <= tolerance) {
+      const match = {
+        path,
+        value: date1,
+        type: 'date'
+      };
+      if (delta !== 0) {
+        match.delta = delta;
+        match.message = `Dates match within ${tolerance}ms tolerance`;
+      }
+      this.result.addMatchedValue(match);
+    } else {
+      this.result.addUnmatchedValue({
+        path,
+        expected: date1,
+        actual: date2,
+        expectedType: 'date',
+        actualType: 'date',
+        delta,
+        message: `Dates differ by ${delta}ms`
+      });
+    }
+  }
+
+  /**
+   * Compare two arrays as sequences using a longest common subsequence diff,
+   * so that insertions and deletions do not cascade into index mismatches
+   * @param {Array} arr1 - First array
+   * @param {Array} arr2 - Second array
+   * @param {string} path - Current path
+   */
+  compareArraysAsSequence(arr1, arr2, path) {
+    const { matches } = this._elementMatcher(arr1, arr2, path);
+    const operations = SequenceDiff.pairChanges(SequenceDiff.diff(arr1, arr2, (item1, item2, i, j) => matches(i, j)));
+
+    for (const { type, index1, index2 } of operations) {
+      switch (type) {
+        case 'equal':
+          this.result.addMatchedValue({
+            path: this._indexPath(path, index1),
+            value: arr1[index1],
+            index1,
+            index2
+          });
+          this._validatePairedElement(arr2[index2], path, index1, index2);
+          break;
+        case 'changed':
+          this._withElementAlias(path, index1, index2, () => this.result.addUnmatchedValue({
+            path: this._indexPath(path, index1),
+            expected: arr1[index1],
+            actual: arr2[index2],
+            index1,
+            index2,
+            change: 'changed',
+            message: `Element [${index1}] of first array changed to element [${index2}] of second array`
+          }));
+          this._validatePairedElement(arr2[index2], path, index1, index2);
+          break;
+        case 'removed':
+          this.result.addUnmatchedValue({
+            path: this._indexPath(path, index1),
+            expected: arr1[index1],
+            actual: undefined,
+            index1,
+            change: 'removed',
+            message: `Element [${index1}] removed from first array`
+          });
+          break;
+        case 'added':
+          this.result.addUnmatchedValue({
+            path: this._indexPath(path, index2),
+            expected: undefined,
+            actual: arr2[index2],
+            index2,
+            change: 'added',
+            message: `Element [${index2}] added in second array`
+          });
+          break;
+      }
+    }
+  }
+
+  /**
+   * Build an equality check between the elements of two arrays. Elements
+   * with the same canonical key are equal; other pairs are checked with
+   * isEquivalent, unless the options make canonical keys decide equality
+   * on their own. Each pair is checked at most once.
+   * @param {Array} arr1 - First array
+   * @param {Array} arr2 - Second array
+   * @param {string} path - Path of the arrays
+   * @returns {{keys1: Array<string|undefined>, keys2: Array<string|undefined>, matches: Function}}
+   * Canonical key of every element, and a `(i, j) => boolean` check
+   * @private
+   */
+  _elementMatcher(arr1, arr2, path) {
+    // Ignored paths are left out of the keys when they match any index alike
+    const withPaths = this.options.ignoredPaths.length > 0 && this._ignoredPathsAreIndexFree();
+    const elementKey = (item, index) =>
+      this._canonicalKey(item, new Set(), withPaths ? PathUtils.buildArrayPath(path, index) : null);
+    const keys1 = arr1.map(elementKey);
+    const keys2 = arr2.map(elementKey);
+    const exact = this._canonicalKeysAreExact();
+    const checked = new Map();
+
+    const matches = (i, j) => {
+      if (keys1[i] !== undefined && keys1[i] === keys2[j]) {
+        return true;
+      }
+      if (exact && keys1[i] !== undefined && keys2[j] !== undefined) {
+        return false;
+      }
+      const pair = i * arr2.length + j;
+      if (!checked.has(pair)) {
+        checked.set(pair, this.isEquivalent(arr1[i], arr2[j], PathUtils.buildArrayPath(path, i)));
+      }
+      return checked.get(pair);
+    };
+
+    return { keys1, keys2, matches };
+  }
+
+  /**
+   * Build a string that is the same for structurally identical values, so
+   * that equal elements can be found without a full comparison. Keys listed
+   * in ignoredKeys, and in ignoredPaths when a path is given, are left out.
+   * @param {*} value - Value to describe
+   * @param {Set<Object>} ancestors - Objects on the current branch
+   * @param {string|null} [path=null] - Path of the value, to leave out ignoredPaths
+   * @returns {string|undefined} Canonical key, or undefined for values it
+   * cannot describe, such as NaN, class instances, Maps, cycles and arrays
+   * with ignored elements
+   * @private
+   */
+  _canonicalKey(value, ancestors, path = null) {
+    switch (typeof value) {
+      case 'string':
+        return `s${JSON.stringify(value)}`;
+      case 'boolean':
+        return `b${value}`;
+      case 'bigint':
+        return `i${value}`;
+      case 'undefined':
+        return 'u';
+      case 'number':
+        if (Number.isNaN(value)) {
+          return this.options.numberEquality === 'sameValue' || this.options.numberEquality === 'sameValueZero'
+            ? 'nNaN'
+            : undefined;
+        }
+        return Object.is(value, -0) && this.options.numberEquality === 'sameValue' ? 'n-0' : `n${value}`;
+      case 'object':
+        break;
+      default:
+        return undefined;
+    }
+
+    if (value === null) {
+      return 'null';
+    }
+    if (ancestors.has(value)) {
+      return undefined;
+    }
+
+    const proto = Object.getPrototypeOf(value);
+    let key;
+    ancestors.add(value);
+    if (Array.isArray(value)) {
+      const items = [];
+      for (let i = 0; i < value.length; i++) {
+        const elementPath = path === null ? null : PathUtils.buildArrayPath(path, i);
+        if (elementPath !== null && PathUtils.matchesAnyPattern(elementPath, this.options.ignoredPaths)) {
+          break;
+        }
+        const item = this._canonicalKey(value[i], ancestors, elementPath);
+        if (item === undefined) {
+          break;
+        }
+        items.push(item);
+      }
+      if (items.length === value.length) {
+        // Globally unordered arrays are equal as multisets
+        key = `[${(this.options.unorderedArrays === true ? items.sort() : items).join(',')}]`;
+      }
+    } else if ((proto === Object.prototype || proto === null) &&
+        Reflect.ownKeys(value).length === Object.keys(value).length) {
+      const { ignoredKeys, ignoredPaths } = this.options;
+      const names = [];
+      for (const name of Object.keys(value)) {
+        const namePath = path === null ? null : PathUtils.buildPath(path, name);
+        if (!ignoredKeys.includes(name) && (namePath === null || !PathUtils.matchesAnyPattern(namePath, ignoredPaths))) {
+          names.push({ name, path: namePath });
+        }
+      }
+
+      const entries = [];
+      for (const { name, path: namePath } of names.sort((a, b) => (a.name < b.name ? -1 : 1))) {
+        const item = this._canonicalKey(value[name], ancestors, namePath);
+        if (item === undefined) {
+          break;
+        }
+        entries.push(`${JSON.stringify(name)}:${item}`);
+      }
+      if (entries.length === names.length) {
+        key = `${proto === null && this.options.checkPrototype ? 'o' : ''}{${entries.join(',')}}`;
+      }
+    } else if (value instanceof Date && !Number.isNaN(value.getTime())) {
+      key = `d${value.getTime()}`;
+    }
+    ancestors.delete(value);
+    return key;
+  }
+
+  /**
+   * Check whether the options compare values exactly, apart from the ignored
+   * keys and paths left out of canonical keys, so that values with different
+   * canonical keys are never equivalent
+   * @returns {boolean} Whether canonical keys decide equality on their own
+   * @private
+   */
+  _canonicalKeysAreExact() {
+    const options = this.options;
+    const isEmpty = obj => Object.keys(obj).length === 0;
+    return options.strictTypes &&
+      isEmpty(options.equivalentValues) &&
+      (options.numericTolerance === null || options.numericTolerance === undefined) &&
+      !options.dateToleranceMs &&
+      isEmpty(options.comparators) &&
+      isEmpty(options.normalizers) &&
+      (options.ignoredPaths.length === 0 || this._ignoredPathsAreIndexFree()) &&
+      !options.ignoreExtraKeys &&
+      isEmpty(options.keyMap) &&
+      !options.keyNormalizer &&
+      isEmpty(options.pathMap) &&
+      options.missingKeyPolicy === 'strict' &&
+      isEmpty(options.arrayKeys) &&
+      typeof options.unorderedArrays === 'boolean';
+  }
+
+  /**
+   * Check whether two values are equivalent under the current options,
+   * without recording anything in the result. Traversal stops at the
+   * first difference.
+   * @param {*} val1 - First value
+   * @param {*} val2 - Second value
+   * @param {string} [path=''] - Path of the values
+   * @param {Object} [overrides={}] - Options to override for this check
+   * @returns {boolean} Whether the values are equivalent
+   */
+  isEquivalent(val1, val2, path = '', overrides = {}) {
+    const options = Object.assign({}, this.options, { maxDifferences: 0 }, overrides);
+    const result = new Result(options);
+    const regexValidator = new RegexValidator(options, result);
+    const comparator = new Comparator(options, result, regexValidator);
+    comparator._ancestors1 = new Map(this._ancestors1);
+    comparator._ancestors2 = new Map(this._ancestors2);
+
+    try {
+      if (path === '') {
+        comparator.compareRoot(val1, val2);
+      } else {
+        comparator.compareChild(val1, val2, path);
+      }
+    } catch (error) {
+      if (!(error instanceof Result.DifferenceLimitReached)) {
+        throw error;
+      }
+    }
+
+    // With no differences allowed, the first one truncates the result
+    return !result.truncated;
+  }
+
+  /**
+   * Check whether every ignoredPaths pattern matches array elements whatever
+   * their index, so that elements can be described before they are paired.
+   * Patterns with literal indices, or with `**` next to digits that it could
+   * match inside an index, depend on the index.
+   * @returns {boolean} Whether ignored paths can be left out of canonical keys
+   * @private
+   */
+  _ignoredPathsAreIndexFree() {
+    return this.options.ignoredPaths.every(pattern => {
+      const rest = pattern.replace(/\[\*\]/g, '');
+      return !/[[\]]/.test(rest) && !(rest.includes('**') && /\d/.test(rest));
+    });
+  }
+
+  /**
+   * Check whether a value is a boxed primitive such as `new Number(1)`
+   * @param {*} value - Value to check
+   * @returns {boolean} Whether the value is a boxed primitive
+   * @private
+   */
+  _isBoxed(value) {
+    return value instanceof Number || value instanceof String || value instanceof Boolean ||
+      (typeof BigInt === 'function' && value instanceof BigInt);
+  }
+
+  /**
+   * Unwrap a boxed primitive, leaving other values untouched
+   * @param {*} value - Value to unwrap
+   * @returns {*} The primitive value
+   * @private
+   */
+  _unbox(value) {
+    return this._isBoxed(value) ? value.valueOf() : value;
+  }
+
+  /**
+   * Check whether a value holds raw binary data
+   * @param {*} value - Value to check
+   * @returns {boolean} Whether the value is an ArrayBuffer or a view on one
+   * @private
+   */
+  _isBinary(value) {
+    return ArrayBuffer.isView(value) || value instanceof ArrayBuffer;
+  }
+
+  /**
+   * Get a byte view of binary data
+   * @param {ArrayBuffer|ArrayBufferView} value - Binary data
+   * @returns {Uint8Array} Bytes of the data
+   * @private
+   */
+  _toBytes(value) {
+    if (value instanceof ArrayBuffer) {
+      return new Uint8Array(value);
+    }
+    return new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+  }
+
+  /**
+   * Check whether a path is excluded by the `ignoredPaths` option, recording
+   * it in the result when ignored paths are listed
+   * @param {string} path - Path to check
+   * @returns {boolean} Whether the path is ignored
+   * @private
+   */
+  _isIgnoredPath(path) {
+    if (!PathUtils.matchesAnyPattern(path, this.options.ignoredPaths)) {
+      return false;
+    }
+    if (this.options.listIgnoredPaths) {
+      this.result.addIgnoredPath(path);
+    }
+    return true;
+  }
+
+  /**
+   * Check whether a boolean-or-patterns option applies to a path
+   * @param {boolean|string[]} setting - `true` for every path, or a list of path patterns
+   * @param {string} path - Path to check
+   * @returns {boolean} Whether the option applies
+   * @private
+   */
+  _isPathEnabled(setting, path) {
+    if (Array.isArray(setting)) {
+      return PathUtils.matchesAnyPattern(path, setting);
+    }
+    return setting === true;
+  }
+
+  /**
+   * Find the equivalentValues rule that makes two values equivalent at a path
+   * and record the match
+   * @param {*} val1 - First value
+   * @param {*} val2 - Second value
+   * @param {string} path - Path of the values
+   * @returns {boolean} Whether an equivalence rule matched
+   * @private
+   */
+  _applyEquivalenceRule(val1, val2, path) {
+    for (const [key, rule] of Object.entries(this.options.equivalentValues)) {
+      if (this._ruleCovers(rule, val1, path) && this._ruleCovers(rule, val2, path)) {
+        this.result.addMatchedValue({
+          path,
+          value: `${this._describe(val1)} ≈ ${this._describe(val2)}`,
+          type1: this.getValueType(val1),
+          type2: this.getValueType(val2),
+          message: `Values considered equivalent by rule "${key}"`
+        });
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Check whether an equivalentValues rule covers a value at a path.
+   * A rule is either a list of values, or an object with a `values` list
+   * and/or a `predicate`, optionally scoped to `paths` patterns.
+   * @param {Array|Object} rule - Equivalence rule
+   * @param {*} value - Value to check
+   * @param {string} path - Path of the value
+   * @returns {boolean} Whether the rule covers the value
+   * @private
+   */
+  _ruleCovers(rule, value, path) {
+    if (Array.isArray(rule)) {
+      return this._includesValue(rule, value);
+    }
+    if (rule === null || typeof rule !== 'object') {
+      return false;
+    }
+    if (Array.isArray(rule.paths) && !PathUtils.matchesAnyPattern(path, rule.paths)) {
+      return false;
+    }
+    return (Array.isArray(rule.values) && this._includesValue(rule.values, value)) ||
+      (typeof rule.predicate === 'function' && Boolean(rule.predicate(value, { path })));
+  }
+
+  /**
+   * Describe a value for a result message
+   * @param {*} value - Value to describe
+   * @returns {string} Description of the value
+   * @private
+   */
+  _describe(value) {
+    if (value !== null && typeof value === 'object') {
+      return PathUtils.formatKey(value);
+    }
+    return String(value);
+  }
+
+  /**
+   * Compare two numbers according to the numberEquality option
+   * @param {number} num1 - First number
+   * @param {number} num2 - Second number
+   * @returns {boolean} Whether the numbers are equal
+   * @private
+   */
+  _numbersEqual(num1, num2) {
+    switch (this.options.numberEquality) {
+      case 'sameValue':
+        return Object.is(num1, num2);
+      case 'sameValueZero':
+        return num1 === num2 || (Number.isNaN(num1) && Number.isNaN(num2));
+      default:
+        return num1 === num2;
+    }
+  }
+
+  /**
+   * Check whether a list contains a value, using strict equality for
+   * non-numbers and the numberEquality option for numbers. Without the
+   * option, the lookup keeps the SameValueZero semantics of Array#includes.
+   * @param {Array} values - List of values
+   * @param {*} value - Value to look for
+   * @returns {boolean} Whether the value is in the list
+   * @private
+   */
+  _includesValue(values, value) {
+    if (!this.options.numberEquality) {
+      return values.includes(value);
+    }
+    return values.some(candidate => typeof candidate === 'number' && typeof value === 'number'
+      ? this._numbersEqual(candidate, value)
+      : candidate === value);
+  }
+
+  /**
+   * Resolve the numeric tolerance that applies to a path
+   * @param {string} path - Path of the values
+   * @returns {{absolute?: number, relative?: number}|null} Tolerance, or null when none applies
+   * @private
+   */
+  _getNumericTolerance(path) {
+    const setting = this.options.numericTolerance;
+    if (setting === null || setting === undefined) {
+      return null;
+    }
+    if (typeof setting === 'number') {
+      return { absolute: setting };
+    }
+
+    // Objects always map path patterns to tolerances; '**' applies everywhere
+    const tolerance = PathUtils.findByPattern(setting, path);
+    if (tolerance === undefined) {
+      return null;
+    }
+    return typeof tolerance === 'number' ? { absolute: tolerance } : tolerance;
+  }
+
+  /**
+   * Check whether two numbers are within an absolute or relative tolerance
+   * @param {number} val1 - First number
+   * @param {number} val2 - Second number
+   * @param {number} delta - Absolute difference between the numbers
+   * @param {{absolute?: number, relative?: number}} tolerance - Tolerance to apply
+   * @returns {boolean} Whether the numbers are within tolerance
+   * @private
+   */
+  _isWithinTolerance(val1, val2, delta, tolerance) {
+    if (Number.isNaN(delta)) {
+      return false;
+    }
+    if (tolerance.absolute !== undefined && delta <= tolerance.absolute) {
+      return true;
+    }
+    if (tolerance.relative !== undefined) {
+      return delta <= tolerance.relative * Math.max(Math.abs(val1), Math.abs(val2));
+    }
+    return false;
+  }
+
+  /**
+   * Get the identity key of an array element
+   * @param {*} item - Array element
+   * @param {string} keyField - Name of the identity key
+   * @returns {*} The key value, or undefined when the element has none
+   * @private
+   */
+  _getElementKey(item, keyField) {
+    if (item === null || typeof item !== 'object' || !PathUtils.hasOwn(item, keyField)) {
+      return undefined;
+    }
+    return item[keyField];
+  }
+
+  /**
+   * Apply the normalizers configured for a path to both values, recording
+   * the raw values in the result when either of them changed
+   * @param {*} val1 - First value
+   * @param {*} val2 - Second value
+   * @param {string} path - Path of the values
+   * @returns {Array} The normalised values
+   * @private
+   */
+  _normalize(val1, val2, path) {
+    const setting = PathUtils.findByPattern(this.options.normalizers, path);
+    if (setting === undefined) {
+      return [val1, val2];
+    }
+
+    const normalizers = Array.isArray(setting) ? setting : [setting];
+    const context = {
+      path,
+      key: PathUtils.getKeyNameFromPath(path),
+      options: this.options
+    };
+    let norm1 = val1;
+    let norm2 = val2;
+    for (const normalizer of normalizers) {
+      norm1 = this._runNormalizer(normalizer, norm1, context);
+      norm2 = this._runNormalizer(normalizer, norm2, context);
+    }
+
+    if (!Object.is(norm1, val1) || !Object.is(norm2, val2)) {
+      this.result.setRawValues(path, val1, val2);
+    }
+    return [norm1, norm2];
+  }
+
+  /**
+   * Transform a value with a normalizer: a function, or one of the built-ins
+   * 'trim', 'lowercase', 'round(digits)' and 'sortArray'. Built-ins leave
+   * values of other types unchanged.
+   * @param {string|Function} normalizer - Normalizer to run
+   * @param {*} value - Value to transform
+   * @param {Object} context - Path, key and options of the value
+   * @returns {*} Transformed value
+   * @private
+   */
+  _runNormalizer(normalizer, value, context) {
+    if (typeof normalizer === 'function') {
+      return normalizer(value, context);
+    }
+
+    const round = /^round(?:\((\d+)\))?$/.exec(normalizer);
+    if (round) {
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return value;
+      }
+      const factor = 10 ** Number(round[1] || 0);
+      return Math.round((value + Math.sign(value) * Number.EPSILON) * factor) / factor;
+    }
+
+    switch (normalizer) {
+      case 'trim':
+        return typeof value === 'string' ? value.trim() : value;
+      case 'lowercase':
+        return typeof value === 'string' ? value.toLowerCase() : value;
+      case 'sortArray':
+        return Array.isArray(value) ? [...value].sort((a, b) => this._compareForSort(a, b)) : value;
+      default:
+        throw new Error(`Unknown normalizer "${normalizer}"`);
+    }
+  }
+
+  /**
+   * Order two values for the sortArray normalizer: by type first, then
+   * numbers numerically and other values by their string form
+   * @param {*} a - First value
+   * @param {*} b - Second value
+   * @returns {number} Negative, zero or positive as for Array#sort
+   * @private
+   */
+  _compareForSort(a, b) {
+    const type1 = a === null ? 'null' : typeof a;
+    const type2 = b === null ? 'null' : typeof b;
+    if (type1 !== type2) {
+      return type1 < type2 ? -1 : 1;
+    }
+    if (type1 !== 'number' && type1 !== 'bigint') {
+      a = this._describe(a);
+      b = this._describe(b);
+    }
+    return a < b ? -1 : (a > b ? 1 : 0);
+  }
+
+  /**
+   * Compare two child values, recursing into nested objects and arrays
+   * @param {*} val1 - First value
+   * @param {*} val2 - Second value
+   * @param {string} path - Path of the values
+   */
+  compareChild(val1, val2, path) {
+    const [norm1, norm2] = this._normalize(val1, val2, path);
+
+    this._compareNormalized(val1, val2, norm1, norm2, path, () => {
+      if (typeof norm1 === 'object' && norm1 !== null &&
+          typeof norm2 === 'object' && norm2 !== null) {
+        this.compareObjects(norm1, norm2, path);
+      } else {
+        this.compareValues(norm1, norm2, path);
+      }
+    });
+  }
+
+  /**
+   * Run a comparison of normalised values so that its entries address the
+   * raw values. Arrays a normalizer only reordered, e.g. with 'sortArray',
+   * are paired in their new order and reported at their original indices;
+   * arrays it changed otherwise are compared as a whole, since their
+   * indices no longer match the raw arrays.
+   * @param {*} raw1 - First raw value
+   * @param {*} raw2 - Second raw value
+   * @param {*} norm1 - First normalised value
+   * @param {*} norm2 - Second normalised value
+   * @param {string} path - Path of the values
+   * @param {Function} compare - Comparison of the normalised values
+   * @private
+   */
+  _compareNormalized(raw1, raw2, norm1, norm2, path, compare) {
+    const order1 = this._getNormalizedOrder(raw1, norm1);
+    const order2 = this._getNormalizedOrder(raw2, norm2);
+    if (order1 === undefined && order2 === undefined) {
+      compare();
+      return;
+    }
+
+    if (order1 === null || order2 === null) {
+      this._compareNormalizedWhole(norm1, norm2, path);
+      return;
+    }
+
+    if (order1) this._arrayOrders.set(norm1, order1);
+    if (order2) this._arrayOrders.set(norm2, order2);
+    try {
+      compare();
+    } finally {
+      this._arrayOrders.delete(norm1);
+      this._arrayOrders.delete(norm2);
+    }
+  }
+
+  /**
+   * Find where each element of an array changed by a normalizer came from
+   * @param {*} raw - Raw value
+   * @param {*} normalized - Normalised value
+   * @returns {number[]|null|undefined} Original index of each element when the
+   * normalizer only reordered the array, null when it changed the array in
+   * another way, or undefined when the value is not an array changed by a normalizer
+   * @private
+   */
+  _getNormalizedOrder(raw, normalized) {
+    if (!Array.isArray(normalized) || Object.is(raw, normalized)) {
+      return undefined;
+    }
+    if (!Array.isArray(raw) || raw.length !== normalized.length) {
+      return null;
+    }
+
+    const indicesByValue = new Map();
+    raw.forEach((item, i) => {
+      if (!indicesByValue.has(item)) {
+        indicesByValue.set(item, []);
+      }
+      indicesByValue.get(item).push(i);
+    });
+
+    const order = [];
+    for (const item of normalized) {
+      const indices = indicesByValue.get(item);
+      if (!indices || indices.length === 0) {
+        return null;
+      }
+      order.push(indices.shift());
+    }
+    return order;
+  }
+
+  /**
+   * Compare two normalised values as a whole, reporting a single entry
+   * @param {*} norm1 - First normalised value
+   * @param {*} norm2 - Second normalised value
+   * @param {string} path - Path of the values
+   * @private
+   */
+  _compareNormalizedWhole(norm1, norm2, path) {
+    // Normalizers for this path already ran; keep those for nested paths
+    const normalizers = {};
+    for (const [pattern, normalizer] of Object.entries(this.options.normalizers)) {
+      if (!PathUtils.matchesPattern(path, pattern)) {
+        normalizers[pattern] = normalizer;
+      }
+    }
+
+    if (this.isEquivalent(norm1, norm2, path, { normalizers })) {
+      this.result.addMatchedValue({
+        path,
+        value: norm1,
+        message: 'Normalised values match'
+      });
+    } else {
+      this.result.addUnmatchedValue({
+        path,
+        expected: norm1,
+        actual: norm2,
+        message: 'Normalised values differ'
+      });
+    }
+    this.regexValidator.validateSubtree(norm2, path);
+  }
+
+  /**
+   * Compare two primitive values
+   * @param {*} val1 - First value
+   * @param {*} val2 - Second value
+   * @param {string} path - Current path
+   */
+  compareValues(val1, val2, path) {
+    if (this._applyCustomComparator(val1, val2, path)) {
+      return;
+    }
+
+    // Boxed primitives compare by their primitive value
+    val1 = this._unbox(val1);
+    val2 = this._unbox(val2);
+
+    // Get specific types
+    const type1 = this.getValueType(val1);
+    const type2 = this.getValueType(val2);
+
+    // Check for equivalent values as defined in options
+    if (this._applyEquivalenceRule(val1, val2, path)) {
+      return;
+    }
+
+    // Check specific types
+    if (type1 !== type2) {
+      this.result.addUnmatchedType({
+        path,
+        expected: type1,
+        actual: type2,
+        expectedValue: val1,
+        actualValue: val2,
+        message: `Types do not match: expected '${type1}', got '${type2}'`
+      });
+      
+      if (this.options.strictTypes) {
+        return; // Stop comparison if strict type checking is enabled
+      }
+    }
+
+    // Compare values - numbers follow the numberEquality option, other values use
+    // strict equality for strict mode and loose equality for non-strict mode
     let valuesMatch;
-    if (this.options.strictTypes) {
+    if (typeof val1 === 'number' && typeof val2 === 'number') {
+      valuesMatch = this._numbersEqual(val1, val2);
+    } else if (this.options.strictTypes) {
       valuesMatch = val1 === val2;
     } else {
       // Use loose equality (==) for non-strict mode, which will convert types
+      // (BigInts equal numbers and numeric strings of the same value, e.g. 10n == '10')
       valuesMatch = val1 == val2;
     }
 
+    // Numbers may differ within a configured tolerance
+    const tolerance = typeof val1 === 'number' && typeof val2 === 'number'
+      ? this._getNumericTolerance(path)
+      : null;
+    let delta;
+    if (tolerance) {
+      delta = Math.abs(val1 - val2);
+      if (!valuesMatch && this._isWithinTolerance(val1, val2, delta, tolerance)) {
+        valuesMatch = true;
+      }
+    }
+
     if (valuesMatch) {
-      this.result.addMatchedValue({
+      const match = {
         path,
         value: val1,
         type: type1 
-      });
+      };
+      if (tolerance) {
+        match.delta = delta;
+        if (delta !== 0) {
+          match.message = 'Values match within numeric tolerance';
+        }
+      }
+      this.result.addMatchedValue(match);
     } else {
-      this.result.addUnmatchedValue({
+      const unmatch = {
         path,
         expected: val1,
         actual: val2,
         expectedType: type1,
         actualType: type2,
         message: 'Values do not match'
-      });
+      };
+      if (tolerance) {
+        unmatch.delta = delta;
+        unmatch.message = 'Values differ by more than the numeric tolerance';
+      }
+      this.result.addUnmatchedValue(unmatch);
     }
 
     // Perform regex checks on val2
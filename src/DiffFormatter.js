@@ -0,0 +1,337 @@
+/**
+ * @fileoverview Terminal diff rendering for JSONCompare
+ * @author AshmeetSehgal.com
+ */
+
+const PathUtils = require('./PathUtils');
+const SequenceDiff = require('./SequenceDiff');
+
+/**
+ * ANSI escape codes used by the formatter
+ * @type {Object<string, string>}
+ * @private
+ */
+const COLORS = {
+  removed: '\u001b[31m',
+  added: '\u001b[32m',
+  hunk: '\u001b[36m',
+  marker: '\u001b[33m',
+  header: '\u001b[1m',
+  reset: '\u001b[0m'
+};
+
+/**
+ * Class for rendering two documents as a text diff
+ */
+class DiffFormatter {
+  /**
+   * Creates a new DiffFormatter instance
+   * @param {Object} [options={}] - Formatting options
+   * @param {string} [options.mode='unified'] - 'unified' for `-`/`+` lines, or 'sideBySide' for two columns
+   * @param {number} [options.context=3] - Unchanged lines shown around each change; longer unchanged regions are collapsed
+   * @param {boolean} [options.color] - Whether to use ANSI colours; defaults to whether stdout is a TTY and NO_COLOR is unset
+   * @param {number} [options.width] - Total width of the side-by-side view; defaults to the terminal width or 120
+   * @param {string[]} [options.labels=['object 1', 'object 2']] - Names of the two documents in the header
+   */
+  constructor(options = {}) {
+    this.mode = options.mode || 'unified';
+    this.context = options.context !== undefined ? options.context : 3;
+    this.color = options.color !== undefined ? options.color : DiffFormatter.supportsColor();
+    this.width = options.width || (process.stdout && process.stdout.columns) || 120;
+    this.labels = options.labels || ['object 1', 'object 2'];
+  }
+
+  /**
+   * Check whether the standard output is a terminal that accepts colours
+   * @returns {boolean} Whether colours are enabled by default
+   */
+  static supportsColor() {
+    if (typeof process === 'undefined' || (process.env && process.env.NO_COLOR !== undefined)) {
+      return false;
+    }
+    return Boolean(process.stdout && process.stdout.isTTY);
+  }
+
+  /**
+   * Render two documents as a diff of their pretty-printed JSON, marking type
+   * mismatches and failed regex checks from a comparison result
+   * @param {*} obj1 - First document
+   * @param {*} obj2 - Second document
+   * @param {Object} [result] - Result of comparing the two documents, used for markers
+   * @returns {string} Rendered diff; empty when the documents print the same
+   * and there is nothing to mark
+   */
+  format(obj1, obj2, result) {
+    const lines1 = DiffFormatter.toLines(obj1);
+    const lines2 = DiffFormatter.toLines(obj2);
+    const markers = this._collectMarkers(result);
+
+    const rows = SequenceDiff.pairChanges(SequenceDiff.diff(lines1, lines2, (a, b) => a.content === b.content))
+      .map(({ type, index1, index2 }) => {
+        const line1 = index1 !== undefined ? lines1[index1] : undefined;
+        const line2 = index2 !== undefined ? lines2[index2] : undefined;
+        const marker = line2 && !line2.closing ? markers.get(line2.path) : undefined;
+        return { type, index1, index2, line1, line2, marker };
+      });
+
+    const hunks = this._buildHunks(rows);
+    if (hunks.length === 0) {
+      return '';
+    }
+
+    return this.mode === 'sideBySide'
+      ? this._renderSideBySide(rows, hunks)
+      : this._renderUnified(rows, hunks);
+  }
+
+  /**
+   * Pretty-print a value as JSON lines, keeping the path of the value each line shows
+   * @param {*} value - Value to print
+   * @returns {Object[]} Lines as `{ content, comma, path, closing }`
+   */
+  static toLines(value) {
+    const lines = [];
+    DiffFormatter._printValue(value, '', '', '', false, lines, new Set());
+    return lines;
+  }
+
+  /**
+   * Print a value and its children
+   * @param {*} value - Value to print
+   * @param {string} path - Path of the value
+   * @param {string} indent - Indentation of the value
+   * @param {string} prefix - Key prefix such as `"name": `
+   * @param {boolean} comma - Whether a comma follows the value
+   * @param {Object[]} lines - Lines printed so far
+   * @param {Set<Object>} ancestors - Objects on the current branch
+   * @private
+   */
+  static _printValue(value, path, indent, prefix, comma, lines, ancestors) {
+    if (value !== null && typeof value === 'object' && typeof value.toJSON === 'function') {
+      value = value.toJSON();
+    }
+
+    if (value === null || typeof value !== 'object') {
+      lines.push({ content: `${indent}${prefix}${DiffFormatter._printPrimitive(value)}`, comma, path });
+      return;
+    }
+    if (ancestors.has(value)) {
+      lines.push({ content: `${indent}${prefix}"[Circular]"`, comma, path });
+      return;
+    }
+
+    const isArray = Array.isArray(value);
+    const keys = isArray ? value.map((item, i) => i) : Object.keys(value);
+    const [open, close] = isArray ? ['[', ']'] : ['{', '}'];
+    if (keys.length === 0) {
+      lines.push({ content: `${indent}${prefix}${open}${close}`, comma, path });
+      return;
+    }
+
+    ancestors.add(value);
+    lines.push({ content: `${indent}${prefix}${open}`, comma: false, path });
+    keys.forEach((key, i) => {
+      const childPath = isArray ? PathUtils.buildArrayPath(path, key) : PathUtils.buildPath(path, key);
+      const childPrefix = isArray ? '' : `${JSON.stringify(key)}: `;
+      DiffFormatter._printValue(value[key], childPath, `${indent}  `, childPrefix, i < keys.length - 1, lines, ancestors);
+    });
+    lines.push({ content: `${indent}${close}`, comma, path, closing: true });
+    ancestors.delete(value);
+  }
+
+  /**
+   * Print a primitive value
+   * @param {*} value - Value to print
+   * @returns {string} JSON text, or a description for values JSON cannot hold
+   * @private
+   */
+  static _printPrimitive(value) {
+    if (typeof value === 'bigint') {
+      return `${value}n`;
+    }
+    const json = JSON.stringify(value);
+    return json !== undefined ? json : String(value);
+  }
+
+  /**
+   * Collect marker text for paths in the second document with a type
+   * mismatch or a failed regex check
+   * @param {Object} [result] - Comparison result
+   * @returns {Map<string, string>} Marker text by path
+   * @private
+   */
+  _collectMarkers(result) {
+    const markers = new Map();
+    if (!result) {
+      return markers;
+    }
+
+    const add = (entry, text) => {
+      const path = entry.actualPath || entry.path;
+      markers.set(path, markers.has(path) ? `${markers.get(path)} ${text}` : text);
+    };
+    for (const entry of result.unmatched.types) {
+      add(entry, `[type mismatch: expected ${entry.expected}, got ${entry.actual}]`);
+    }
+    for (const entry of result.regexChecks.failed) {
+      add(entry, `[regex failed: ${entry.pattern}]`);
+    }
+    return markers;
+  }
+
+  /**
+   * Group the rows around changes and markers into hunks, collapsing the
+   * unchanged rows further than `context` rows away
+   * @param {Object[]} rows - Diff rows
+   * @returns {Array<{start: number, end: number}>} Row ranges to show, end exclusive
+   * @private
+   */
+  _buildHunks(rows) {
+    const hunks = [];
+    rows.forEach((row, i) => {
+      if (row.type === 'equal' && !row.marker) {
+        return;
+      }
+      const start = Math.max(0, i - this.context);
+      const end = Math.min(rows.length, i + this.context + 1);
+      const last = hunks[hunks.length - 1];
+      if (last && start <= last.end) {
+        last.end = Math.max(last.end, end);
+      } else {
+        hunks.push({ start, end });
+      }
+    });
+    return hunks;
+  }
+
+  /**
+   * Render hunks as a unified diff
+   * @param {Object[]} rows - Diff rows
+   * @param {Array<{start: number, end: number}>} hunks - Row ranges to show
+   * @returns {string} Unified diff
+   * @private
+   */
+  _renderUnified(rows, hunks) {
+    const output = [
+      this._paint('header', `--- ${this.labels[0]}`),
+      this._paint('header', `+++ ${this.labels[1]}`)
+    ];
+
+    for (const { start, end } of hunks) {
+      const shown = rows.slice(start, end);
+      output.push(this._paint('hunk', this._hunkHeader(rows, start, shown)));
+
+      for (const row of shown) {
+        const marker = row.marker ? ` ${this._paint('marker', row.marker)}` : '';
+        if (row.type === 'equal') {
+          output.push(` ${DiffFormatter._text(row.line2)}${marker}`);
+          continue;
+        }
+        if (row.line1) {
+          output.push(this._paint('removed', `-${DiffFormatter._text(row.line1)}`));
+        }
+        if (row.line2) {
+          output.push(this._paint('added', `+${DiffFormatter._text(row.line2)}`) + marker);
+        }
+      }
+    }
+
+    return output.join('\n');
+  }
+
+  /**
+   * Build the `@@ -start,count +start,count @@` header of a hunk
+   * @param {Object[]} rows - All diff rows
+   * @param {number} start - Index of the first row of the hunk
+   * @param {Object[]} shown - Rows of the hunk
+   * @returns {string} Hunk header
+   * @private
+   */
+  _hunkHeader(rows, start, shown) {
+    const firstLine = side => {
+      const key = `index${side}`;
+      for (let i = start; i < rows.length; i++) {
+        if (rows[i][key] !== undefined) {
+          return rows[i][key] + 1;
+        }
+      }
+      return rows.filter(row => row[key] !== undefined).length;
+    };
+    const count1 = shown.filter(row => row.line1).length;
+    const count2 = shown.filter(row => row.line2).length;
+    return `@@ -${firstLine(1)},${count1} +${firstLine(2)},${count2} @@`;
+  }
+
+  /**
+   * Render hunks as two columns, with `<`, `>` and `|` for removed, added
+   * and changed lines and a summary line for each collapsed region
+   * @param {Object[]} rows - Diff rows
+   * @param {Array<{start: number, end: number}>} hunks - Row ranges to show
+   * @returns {string} Side-by-side diff
+   * @private
+   */
+  _renderSideBySide(rows, hunks) {
+    const columnWidth = Math.max(10, Math.floor((this.width - 3) / 2));
+    const cell = (line, kind) => {
+      const text = DiffFormatter._fit(line ? DiffFormatter._text(line) : '', columnWidth);
+      return line && kind ? this._paint(kind, text) : text;
+    };
+    const gutter = { equal: ' ', removed: '<', added: '>', changed: '|' };
+    const collapsed = count => this._paint('hunk', `⋯ ${count} unchanged line${count === 1 ? '' : 's'} ⋯`);
+
+    const output = [this._paint('header', `${DiffFormatter._fit(this.labels[0], columnWidth)}   ${this.labels[1]}`)];
+    let next = 0;
+    for (const { start, end } of hunks) {
+      if (start > next) {
+        output.push(collapsed(start - next));
+      }
+      for (const row of rows.slice(start, end)) {
+        const changed = row.type !== 'equal';
+        const left = cell(row.line1, changed ? 'removed' : null);
+        const right = cell(row.line2, changed ? 'added' : null);
+        const marker = row.marker ? ` ${this._paint('marker', row.marker)}` : '';
+        output.push(`${left} ${gutter[row.type]} ${right}`.replace(/\s+$/, '') + marker);
+      }
+      next = end;
+    }
+    if (next < rows.length) {
+      output.push(collapsed(rows.length - next));
+    }
+
+    return output.join('\n');
+  }
+
+  /**
+   * Get the text of a printed line
+   * @param {Object} line - Printed line
+   * @returns {string} Line text with its trailing comma
+   * @private
+   */
+  static _text(line) {
+    return line.comma ? `${line.content},` : line.content;
+  }
+
+  /**
+   * Pad or truncate text to a column width
+   * @param {string} text - Text to fit
+   * @param {number} width - Column width
+   * @returns {string} Text of exactly the column width
+   * @private
+   */
+  static _fit(text, width) {
+    return text.length > width ? `${text.slice(0, width - 1)}…` : text.padEnd(width);
+  }
+
+  /**
+   * Colour text when colours are enabled
+   * @param {string} kind - Key of the colour in COLORS
+   * @param {string} text - Text to colour
+   * @returns {string} Coloured text
+   * @private
+   */
+  _paint(kind, text) {
+    return this.color ? `${COLORS[kind]}${text}${COLORS.reset}` : text;
+  }
+}
+
+module.exports = DiffFormatter;
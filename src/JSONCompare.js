@@ -9,6 +9,7 @@ const Options = require('./Options');
 const Result = require('./Result');
 const RegexValidator = require('./RegexValidator');
 const Comparator = require('./Comparator');
+const ThreeWayMerge = require('./ThreeWayMerge');
 
 /**
  * Class for comparing JSON objects
@@ -18,11 +19,30 @@ class JSONCompare {
    * Creates a new JSONCompare instance
    * @param {Object} options - Configuration options
    * @param {string[]} [options.ignoredKeys=[]] - Keys to ignore during comparison
-   * @param {Object} [options.equivalentValues={}] - Values to treat as equivalent
+   * @param {string[]} [options.ignoredPaths=[]] - Path patterns to ignore during comparison, e.g. `items[*].id` or `**.createdAt`
+   * @param {boolean} [options.listIgnoredPaths=false] - Whether to list the ignored paths in the result
+   * @param {Object} [options.equivalentValues={}] - Values to treat as equivalent, as value lists or `{ values, predicate, paths }` rules
    * @param {Object} [options.regexChecks={}] - Regex patterns for value validation
    * @param {boolean} [options.strictTypes=true] - Whether to strictly compare types
    * @param {boolean} [options.ignoreExtraKeys=false] - Whether to ignore keys in obj2 that aren't in obj1
+   * @param {string|Function} [options.keyNormalizer=null] - Pair differently named keys: 'caseInsensitive', 'snakeCamelKebab' or a `(key) => string` function
+   * @param {Object} [options.keyMap={}] - Key names of obj1 mapped to their renamed key in obj2, at any depth
+   * @param {Object} [options.pathMap={}] - Paths in obj1 mapped to the path they moved to in obj2
+   * @param {boolean} [options.includeSymbolKeys=false] - Whether to compare symbol-keyed properties
+   * @param {boolean} [options.includeNonEnumerable=false] - Whether to compare own non-enumerable properties
+   * @param {boolean} [options.checkPrototype=false] - Whether to report objects with different prototypes
+   * @param {string} [options.missingKeyPolicy='strict'] - How missing keys compare: 'strict', 'undefinedEqualsMissing' or 'nullEqualsMissing' (null or undefined)
    * @param {boolean} [options.matchKeysByName=false] - Whether to match regex by key name instead of only by path
+   * @param {Object} [options.arrayKeys={}] - Identity key used to pair array elements, by array path or pattern
+   * @param {boolean|string[]} [options.unorderedArrays=false] - Compare arrays ignoring element order, everywhere or at the given path patterns
+   * @param {boolean|string[]} [options.sequenceDiff=false] - Diff arrays as sequences reporting added, removed and changed elements, everywhere or at the given path patterns
+   * @param {number|Object} [options.numericTolerance=null] - Absolute tolerance for every number, or a map of path patterns to an absolute or `{ absolute, relative }` tolerance; use the '**' pattern for every path
+   * @param {string} [options.numberEquality=null] - How numbers are compared: 'strict' (===), 'sameValue' (Object.is) or 'sameValueZero' (NaN equals NaN, 0 equals -0); when unset, values compare with === and equivalentValues lists with Array#includes
+   * @param {number} [options.dateToleranceMs=0] - Maximum difference in milliseconds for Dates to be considered equal
+   * @param {Object} [options.comparators={}] - Custom comparison functions `(expected, actual, context) => boolean | { match, message }`, by path or pattern
+   * @param {Object} [options.normalizers={}] - Transforms applied to both values before comparing, by path or pattern: 'trim', 'lowercase', 'round(digits)', 'sortArray', a `(value, context) => value` function, or a list of them
+   * @param {number} [options.maxDepth=null] - Depth beyond which subtrees are compared as a whole instead of key by key
+   * @param {number} [options.maxDifferences=null] - Keep at most this many differences, stopping the comparison and marking the result as truncated when another is found; 0 only detects whether any difference exists
    */
   constructor(options = {}) {
     this.options = new Options(options);
@@ -39,11 +59,42 @@ class JSONCompare {
    */
   compare(obj1, obj2) {
     this.result.reset();
-    this.comparator.compareObjects(obj1, obj2, '');
+    try {
+      this.comparator.compareRoot(obj1, obj2);
+    } catch (error) {
+      // Traversal stops early once maxDifferences is reached
+      if (!(error instanceof Result.DifferenceLimitReached)) {
+        throw error;
+      }
+    }
     this.result.updateSummary();
     return this.result.getResult();
   }
 
+  /**
+   * Check whether two JSON objects are equal under the configured options,
+   * stopping at the first difference
+   * @param {Object} obj1 - First JSON object
+   * @param {Object} obj2 - Second JSON object
+   * @returns {boolean} Whether the objects are equal
+   */
+  isEqual(obj1, obj2) {
+    return this.comparator.isEquivalent(obj1, obj2);
+  }
+
+  /**
+   * Merge two independently edited copies of a base document, detecting
+   * changes with the configured options such as `ignoredKeys` and `arrayKeys`
+   * @param {*} base - Common ancestor
+   * @param {*} ours - Our edited copy
+   * @param {*} theirs - Their edited copy
+   * @returns {{merged: *, conflicts: Object[]}} Merged document, keeping our
+   * value where changes conflict, and the conflicts with the three competing values
+   */
+  merge(base, ours, theirs) {
+    return new ThreeWayMerge(this.options, this.comparator).merge(base, ours, theirs);
+  }
+
   /**
    * Enhance the comparison with additional regex checks
    * @param {Object} obj1 - First object (used for comparison)
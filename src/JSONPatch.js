@@ -0,0 +1,411 @@
+/**
+ * @fileoverview RFC 6902 JSON Patch output and diff application for JSONCompare
+ * @author AshmeetSehgal.com
+ */
+
+const JSONCompare = require('./JSONCompare');
+const PathUtils = require('./PathUtils');
+
+/**
+ * Error thrown when a diff no longer matches the document it is applied to
+ */
+class DiffVerificationError extends Error {
+  /**
+   * Creates a new DiffVerificationError
+   * @param {string} message - Explanation message
+   * @param {string} path - JSON Pointer of the mismatching location
+   * @param {*} [expected] - Value the diff expected at the location
+   * @param {*} [actual] - Value found at the location
+   */
+  constructor(message, path, expected, actual) {
+    super(`${message} at "${path}"`);
+    this.name = 'DiffVerificationError';
+    this.path = path;
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+/**
+ * Class for converting comparison results into JSON Patch documents and applying them
+ */
+class JSONPatch {
+  /**
+   * Convert a comparison result into RFC 6902 `add`, `remove` and `replace`
+   * operations that turn the first object into the second.
+   *
+   * Operations address the `pointer` of each entry in the first object:
+   * keys paired by keyMap, keyNormalizer or pathMap keep the first object's
+   * name, and arrays compared by key or without order are patched up to
+   * element order. An array replaced by an object, or the reverse, is
+   * replaced as a whole. Entries without a pointer, such as Map and Set
+   * entries and symbol keys, and circular references are left out.
+   * @param {Object} result - Result returned by `compare()`
+   * @param {Object} [options={}] - Output options
+   * @param {boolean} [options.test=false] - Precede every `remove` and `replace`
+   * with a `test` operation for the value it expects to find
+   * @returns {Object[]} JSON Patch operations
+   */
+  static fromResult(result, options = {}) {
+    const operations = [];
+    const replaced = new Set();
+    const arrays = new Map();
+
+    const test = (pointer, value) => {
+      if (options.test) {
+        operations.push({ op: 'test', path: pointer, value });
+      }
+    };
+
+    const replace = (pointer, oldValue, value) => {
+      if (!replaced.has(pointer)) {
+        replaced.add(pointer);
+        test(pointer, oldValue);
+        operations.push({ op: 'replace', path: pointer, value });
+      }
+    };
+
+    // Array element changes are applied after all other operations, which
+    // address elements by their index in the first array
+    const arrayChanges = pointer => {
+      const arrayPointer = JSONPatch.parentPointer(pointer);
+      if (!arrays.has(arrayPointer)) {
+        arrays.set(arrayPointer, { removed: [], added: [] });
+      }
+      return arrays.get(arrayPointer);
+    };
+
+    for (const entry of result.unmatched.keys) {
+      if (!JSONPatch.isAddressable(entry)) {
+        continue;
+      }
+      if (entry.change === 'removed') {
+        test(entry.pointer, entry.value);
+        operations.push({ op: 'remove', path: entry.pointer });
+      } else if (entry.change === 'added') {
+        operations.push({ op: 'add', path: entry.pointer, value: entry.value });
+      }
+    }
+
+    for (const entry of result.unmatched.types) {
+      if (JSONPatch.isAddressable(entry) && 'actualValue' in entry) {
+        replace(entry.pointer, entry.expectedValue, entry.actualValue);
+      }
+    }
+
+    for (const entry of result.unmatched.values) {
+      if (!JSONPatch.isAddressable(entry) || entry.circular || 'expectedLength' in entry) {
+        continue;
+      }
+      // Normalised entries expect the value as it was before normalisation
+      const expected = entry.raw ? entry.raw.expected : entry.expected;
+      const actual = entry.raw ? entry.raw.actual : entry.actual;
+      if (entry.change === 'removed') {
+        if (entry.index1 !== undefined) {
+          arrayChanges(entry.pointer).removed.push({ index: entry.index1, value: expected });
+        }
+      } else if (entry.change === 'added') {
+        if (entry.index2 !== undefined) {
+          arrayChanges(entry.pointer).added.push({ index: entry.index2, value: actual });
+        }
+      } else {
+        replace(entry.pointer, expected, actual);
+      }
+    }
+
+    // Deepest arrays first, so that indices of enclosing arrays still hold
+    const depth = pointer => pointer.split('/').length;
+    const arrayPointers = [...arrays.keys()].sort((a, b) => depth(b) - depth(a));
+
+    for (const pointer of arrayPointers) {
+      const { removed, added } = arrays.get(pointer);
+
+      removed.sort((a, b) => b.index - a.index);
+      for (const { index, value } of removed) {
+        test(`${pointer}/${index}`, value);
+        operations.push({ op: 'remove', path: `${pointer}/${index}` });
+      }
+
+      added.sort((a, b) => a.index - b.index);
+      for (const { index, value } of added) {
+        operations.push({ op: 'add', path: `${pointer}/${index}`, value });
+      }
+    }
+
+    return operations;
+  }
+
+  /**
+   * Mirror a comparison result of `obj1` against `obj2` into the result of
+   * comparing `obj2` against `obj1`, addressing paths and pointers in the
+   * second object. Entries without a pointer in the second object lose their pointer.
+   * @param {Object} result - Result returned by `compare()`
+   * @returns {Object} Mirrored result with the unmatched entries swapped
+   */
+  static invert(result) {
+    const flip = change => {
+      if (change === 'added') return 'removed';
+      if (change === 'removed') return 'added';
+      return change;
+    };
+    const base = entry => {
+      const { actualPath, pointer, actualPointer, ...rest } = entry;
+      const mirrored = { ...rest, path: actualPath || entry.path };
+      const mirroredPointer = actualPath !== undefined ? actualPointer : pointer;
+      if (mirroredPointer !== undefined) {
+        mirrored.pointer = mirroredPointer;
+      }
+      return mirrored;
+    };
+
+    return {
+      ...result,
+      unmatched: {
+        keys: result.unmatched.keys.map(entry => ({ ...base(entry), change: flip(entry.change) })),
+        types: result.unmatched.types.map(entry => ({
+          ...base(entry),
+          expected: entry.actual,
+          actual: entry.expected,
+          expectedValue: entry.actualValue,
+          actualValue: entry.expectedValue
+        })),
+        values: result.unmatched.values.map(entry => ({
+          ...base(entry),
+          expected: entry.actual,
+          actual: entry.expected,
+          index1: entry.index2,
+          index2: entry.index1,
+          change: flip(entry.change),
+          raw: entry.raw && { expected: entry.raw.actual, actual: entry.raw.expected }
+        }))
+      }
+    };
+  }
+
+  /**
+   * Apply a diff to the first compared object to reproduce the second.
+   * The diff is verified while it is applied: every value it removes or
+   * replaces must still be the value it was compared against, and every
+   * member it adds must still be missing. Diffs made with options listed in
+   * `summary.lossyOptions`, such as keyMap or numericTolerance, are refused,
+   * since the values they treat as equal may still differ. Arrays compared
+   * by key or without order are reproduced up to element order.
+   * @param {*} obj1 - Object to patch, left unchanged
+   * @param {Object} diff - Result of comparing `obj1` with the second object
+   * @returns {*} The patched copy
+   * @throws {DiffVerificationError} When the object no longer matches the diff
+   */
+  static applyDiff(obj1, diff) {
+    JSONPatch._assertComplete(diff);
+    return JSONPatch.apply(obj1, JSONPatch.fromResult(diff, { test: true }));
+  }
+
+  /**
+   * Revert a diff on the second compared object to reproduce the first,
+   * verifying it the same way as {@link JSONPatch.applyDiff}
+   * @param {*} obj2 - Object to patch, left unchanged
+   * @param {Object} diff - Result of comparing the first object with `obj2`
+   * @returns {*} The patched copy
+   * @throws {DiffVerificationError} When the object no longer matches the diff
+   */
+  static revertDiff(obj2, diff) {
+    const inverted = JSONPatch.invert(diff);
+    JSONPatch._assertComplete(inverted);
+    return JSONPatch.apply(obj2, JSONPatch.fromResult(inverted, { test: true }));
+  }
+
+  /**
+   * Reject diffs that stopped early because of the maxDifferences option,
+   * that were made with options under which different values compare as
+   * equal, or that hold differences a JSON Patch cannot express
+   * @param {Object} diff - Comparison result
+   * @throws {Error} When the diff is truncated or cannot be fully applied
+   * @private
+   */
+  static _assertComplete(diff) {
+    if (diff.summary && diff.summary.truncated) {
+      throw new Error('Cannot apply a diff truncated by maxDifferences');
+    }
+    const lossyOptions = (diff.summary && diff.summary.lossyOptions) || [];
+    if (lossyOptions.length > 0) {
+      throw new Error(`Cannot apply a diff made with options that treat different values as equal: ${lossyOptions.join(', ')}`);
+    }
+
+    const { keys, types, values } = diff.unmatched;
+    const unexpressed = [
+      ...keys.filter(entry => !JSONPatch.isAddressable(entry)),
+      ...types.filter(entry => !JSONPatch.isAddressable(entry) || !('actualValue' in entry)),
+      ...values.filter(entry => !('expectedLength' in entry) && (!JSONPatch.isAddressable(entry) || entry.circular))
+    ];
+    if (unexpressed.length > 0) {
+      throw new Error(`Cannot apply a diff with differences a JSON Patch cannot express, such as at "${unexpressed[0].path}"`);
+    }
+  }
+
+  /**
+   * Apply JSON Patch operations to a copy of a document. Arrays and objects,
+   * including class instances with their prototype, are copied; Maps, Sets,
+   * Dates and binary data are shared with the original, and operations
+   * inside them fail. Unlike RFC 6902, adding an object member that already
+   * exists fails.
+   * @param {*} document - Document to patch, left unchanged
+   * @param {Object[]} operations - `add`, `remove`, `replace` and `test` operations
+   * @returns {*} The patched copy
+   * @throws {DiffVerificationError} When a `test` fails or a location is missing
+   */
+  static apply(document, operations) {
+    let root = JSONPatch._clone(document, new Map());
+
+    for (const { op, path, value } of operations) {
+      if (path === '') {
+        if (op === 'test') {
+          JSONPatch._test(root, path, value);
+        } else if (op === 'replace') {
+          root = JSONPatch._clone(value, new Map());
+        } else {
+          throw new DiffVerificationError(`Cannot ${op} the document root`, path);
+        }
+        continue;
+      }
+
+      const tokens = path.slice(1).split('/').map(JSONPatch.unescapeToken);
+      const last = tokens.pop();
+      let parent = root;
+      for (const token of tokens) {
+        if (!PathUtils.hasOwn(parent, token)) {
+          throw new DiffVerificationError('Path not found', path);
+        }
+        parent = parent[token];
+      }
+      if (parent === null || typeof parent !== 'object') {
+        throw new DiffVerificationError('Path not found', path);
+      }
+      if (op !== 'test' && !JSONPatch._isCopied(parent)) {
+        throw new DiffVerificationError('Cannot patch inside a Map, Set, Date or binary value', path);
+      }
+
+      const exists = PathUtils.hasOwn(parent, last);
+      if (op !== 'add' && !exists) {
+        throw new DiffVerificationError('Path not found', path);
+      }
+
+      if (op === 'test') {
+        JSONPatch._test(parent[last], path, value);
+      } else if (Array.isArray(parent)) {
+        const index = Number(last);
+        if (!/^\d+$/.test(last) || index > parent.length) {
+          throw new DiffVerificationError('Array index out of range', path);
+        }
+        if (op === 'add') {
+          parent.splice(index, 0, JSONPatch._clone(value, new Map()));
+        } else if (op === 'remove') {
+          parent.splice(index, 1);
+        } else {
+          parent[index] = JSONPatch._clone(value, new Map());
+        }
+      } else if (op === 'add') {
+        if (exists) {
+          throw new DiffVerificationError('Expected no value', path, undefined, parent[last]);
+        }
+        PathUtils.defineOwn(parent, last, JSONPatch._clone(value, new Map()));
+      } else if (op === 'remove') {
+        delete parent[last];
+      } else {
+        PathUtils.defineOwn(parent, last, JSONPatch._clone(value, new Map()));
+      }
+    }
+
+    return root;
+  }
+
+  /**
+   * Check a `test` operation, comparing values like JSONCompare with default options
+   * @param {*} actual - Value found at the location
+   * @param {string} path - JSON Pointer of the location
+   * @param {*} expected - Value the operation expects
+   * @throws {DiffVerificationError} When the values differ
+   * @private
+   */
+  static _test(actual, path, expected) {
+    if (!new JSONCompare().isEqual(expected, actual)) {
+      throw new DiffVerificationError('Value does not match the diff', path, expected, actual);
+    }
+  }
+
+  /**
+   * Check whether `apply` copies a value rather than sharing it with the original
+   * @param {Object} value - Object to check
+   * @returns {boolean} Whether the value is an array or an object without
+   * internal state, such as a plain object or class instance
+   * @private
+   */
+  static _isCopied(value) {
+    return Array.isArray(value) || Object.prototype.toString.call(value) === '[object Object]';
+  }
+
+  /**
+   * Copy arrays and objects deeply, keeping prototypes and circular references
+   * @param {*} value - Value to copy
+   * @param {Map<Object, Object>} copies - Copies made so far, by original
+   * @returns {*} The copy
+   * @private
+   */
+  static _clone(value, copies) {
+    if (value === null || typeof value !== 'object' || !JSONPatch._isCopied(value)) {
+      return value;
+    }
+    if (copies.has(value)) {
+      return copies.get(value);
+    }
+
+    if (Array.isArray(value)) {
+      const copy = [];
+      copies.set(value, copy);
+      value.forEach(item => copy.push(JSONPatch._clone(item, copies)));
+      return copy;
+    }
+
+    const copy = Object.create(Object.getPrototypeOf(value));
+    copies.set(value, copy);
+    for (const key of Reflect.ownKeys(value)) {
+      const descriptor = Object.getOwnPropertyDescriptor(value, key);
+      if ('value' in descriptor) {
+        descriptor.value = JSONPatch._clone(descriptor.value, copies);
+        descriptor.writable = true;
+      }
+      descriptor.configurable = true;
+      Object.defineProperty(copy, key, descriptor);
+    }
+    return copy;
+  }
+
+  /**
+   * Check whether a result entry has a JSON Pointer to its location
+   * @param {Object} entry - Result entry
+   * @returns {boolean} Whether the entry can be addressed by a JSON Patch
+   */
+  static isAddressable(entry) {
+    return typeof entry.pointer === 'string';
+  }
+
+  /**
+   * Get the JSON Pointer of the container of a location
+   * @param {string} pointer - JSON Pointer of a location below the root
+   * @returns {string} JSON Pointer of its parent
+   */
+  static parentPointer(pointer) {
+    return pointer.slice(0, pointer.lastIndexOf('/'));
+  }
+
+  /**
+   * Unescape a JSON Pointer reference token as defined by RFC 6901
+   * @param {string} token - Escaped token
+   * @returns {string} Key or array index
+   */
+  static unescapeToken(token) {
+    return token.replace(/~1/g, '/').replace(/~0/g, '~');
+  }
+}
+
+module.exports = JSONPatch;
+module.exports.DiffVerificationError = DiffVerificationError;
@@ -0,0 +1,246 @@
+/**
+ * @fileoverview RFC 7386 JSON Merge Patch output for JSONCompare
+ * @author AshmeetSehgal.com
+ */
+
+const JSONCompare = require('./JSONCompare');
+const JSONPatch = require('./JSONPatch');
+const PathUtils = require('./PathUtils');
+
+/**
+ * Class for converting comparison results into JSON Merge Patch documents
+ */
+class MergePatch {
+  /**
+   * Convert a comparison result into the minimal RFC 7386 merge patch that
+   * turns the first object into the second, with `null` for removed keys.
+   * Differences a merge patch cannot express are left out and reported as
+   * warnings: new values that are or contain `null`, which a merge patch
+   * reads as a removal, changes inside arrays, which a merge patch can
+   * only replace as a whole, and Map and Set entries and symbol keys, which
+   * have no JSON Pointer in the result. When the second root is not a
+   * plain object, the patch is that root value itself.
+   * @param {Object} result - Result returned by `compare()`
+   * @param {*} [obj2] - Second object; needed when its root is an array,
+   * since the result does not hold unchanged elements
+   * @returns {{patch: *, warnings: Object[]}} Merge patch, and one
+   * `{ path, message }` warning per difference that was left out
+   */
+  static fromResult(result, obj2) {
+    const root = arguments.length > 1 ? { value: obj2 } : MergePatch._findRoot(result);
+    if (root !== null && !PathUtils.isPlainObject(root.value)) {
+      return { patch: root.value, warnings: [] };
+    }
+
+    const state = { patch: {}, warnings: [], arrays: new Set() };
+
+    for (const entry of result.unmatched.keys) {
+      if (entry.change === 'removed') {
+        MergePatch._set(state, MergePatch._locate(entry), null, true);
+      } else if (entry.change === 'added') {
+        MergePatch._set(state, MergePatch._locate(entry), entry.value);
+      }
+    }
+
+    for (const entry of result.unmatched.types) {
+      if ('actualValue' in entry) {
+        MergePatch._replace(state, MergePatch._locate(entry), entry.expectedValue, entry.actualValue);
+      }
+    }
+
+    for (const entry of result.unmatched.values) {
+      if (entry.circular) {
+        continue;
+      }
+      if ('expectedLength' in entry) {
+        // Reported through the elements that differ
+        continue;
+      }
+      const expected = entry.raw ? entry.raw.expected : entry.expected;
+      const actual = entry.raw ? entry.raw.actual : entry.actual;
+      MergePatch._replace(state, MergePatch._locate(entry), expected, actual);
+    }
+
+    return { patch: state.patch, warnings: state.warnings };
+  }
+
+  /**
+   * Find the root value of the second object in a result
+   * @param {Object} result - Result returned by `compare()`
+   * @returns {{value: *}|null} Root value, or null when the result only
+   * holds entries below an object root
+   * @throws {Error} When the root is an array, whose unchanged elements
+   * the result does not hold
+   * @private
+   */
+  static _findRoot(result) {
+    const type = result.unmatched.types.find(entry => entry.path === '' && 'actualValue' in entry);
+    if (type) {
+      return { value: type.actualValue };
+    }
+    const changed = result.unmatched.values.find(entry =>
+      entry.path === '' && !entry.circular && !('expectedLength' in entry));
+    if (changed) {
+      return { value: changed.raw ? changed.raw.actual : changed.actual };
+    }
+    const unchanged = result.matched.values.find(entry => entry.path === '');
+    if (unchanged) {
+      return { value: unchanged.raw ? unchanged.raw.actual : unchanged.value };
+    }
+
+    const paths = [
+      ...result.matched.keys,
+      ...[...result.matched.values, ...result.unmatched.keys, ...result.unmatched.values, ...result.unmatched.types]
+        .map(entry => entry.path)
+    ];
+    if (paths.some(path => path.startsWith('['))) {
+      throw new Error('Cannot build a merge patch for an array root without the second object');
+    }
+    return null;
+  }
+
+  /**
+   * Split the location of a result entry into the keys and array indices of
+   * its JSON Pointer, telling indices from keys by the entry's path
+   * @param {Object} entry - Result entry
+   * @returns {{path: string, steps: Array<{token: string, index: boolean, path: string}>|null}}
+   * Path of the entry and one step per pointer token, with the path reached
+   * by each step; steps are null when the entry has no pointer
+   * @private
+   */
+  static _locate(entry) {
+    if (!JSONPatch.isAddressable(entry)) {
+      return { path: entry.path, steps: null };
+    }
+
+    const tokens = entry.pointer === '' ? [] : entry.pointer.slice(1).split('/').map(JSONPatch.unescapeToken);
+    let prefix = '';
+    const steps = tokens.map(token => {
+      // An index `[0]` and a key `.0` give different paths, so the entry path tells them apart
+      const elementPath = PathUtils.buildArrayPath(prefix, token);
+      const index = /^\d+$/.test(token) &&
+        (entry.path === elementPath || PathUtils.isDescendantPath(entry.path, elementPath));
+      prefix = index ? elementPath : PathUtils.buildPath(prefix, token);
+      return { token, index, path: prefix };
+    });
+    return { path: entry.path, steps };
+  }
+
+  /**
+   * Add the patch for a changed value. Objects replacing objects are patched
+   * key by key, since a merge patch merges them instead of replacing them.
+   * @param {Object} state - Patch being built
+   * @param {Object} location - Location of the value, as returned by `_locate`
+   * @param {*} expected - Value in the first object
+   * @param {*} actual - Value in the second object
+   * @param {Set<Object>} [ancestors=new Set()] - Objects of the first object on the current branch
+   * @private
+   */
+  static _replace(state, location, expected, actual, ancestors = new Set()) {
+    if (location.steps !== null && !ancestors.has(expected) &&
+        PathUtils.isPlainObject(expected) && PathUtils.isPlainObject(actual)) {
+      const child = key => {
+        const path = PathUtils.buildPath(location.path, key);
+        return { path, steps: [...location.steps, { token: key, index: false, path }] };
+      };
+
+      ancestors.add(expected);
+      for (const key of Object.keys(expected)) {
+        if (!PathUtils.hasOwn(actual, key)) {
+          MergePatch._set(state, child(key), null, true);
+        }
+      }
+      for (const key of Object.keys(actual)) {
+        if (!PathUtils.hasOwn(expected, key)) {
+          MergePatch._set(state, child(key), actual[key]);
+        } else if (!new JSONCompare().isEqual(expected[key], actual[key])) {
+          MergePatch._replace(state, child(key), expected[key], actual[key], ancestors);
+        }
+      }
+      ancestors.delete(expected);
+      return;
+    }
+
+    MergePatch._set(state, location, actual);
+  }
+
+  /**
+   * Set a value in the patch at a location, warning instead when the
+   * location has no pointer, runs through an array, or the value cannot be
+   * told apart from a removal
+   * @param {Object} state - Patch being built
+   * @param {Object} location - Location of the value, as returned by `_locate`
+   * @param {*} value - Patch value
+   * @param {boolean} [isRemoval=false] - Whether the `null` value removes the key
+   * @private
+   */
+  static _set(state, location, value, isRemoval = false) {
+    const { path, steps } = location;
+    if (steps === null) {
+      state.warnings.push({
+        path,
+        message: 'Map and Set entries and symbol keys cannot be expressed by a merge patch'
+      });
+      return;
+    }
+
+    const first = steps.findIndex(step => step.index);
+    if (first !== -1) {
+      // The outermost array would have to be replaced as a whole
+      const arrayPath = first === 0 ? '' : steps[first - 1].path;
+      if (!state.arrays.has(arrayPath)) {
+        state.arrays.add(arrayPath);
+        state.warnings.push({
+          path: arrayPath,
+          message: 'Array changed partially; a merge patch can only replace whole arrays'
+        });
+      }
+      return;
+    }
+
+    if (!isRemoval && MergePatch._containsNull(value)) {
+      state.warnings.push({
+        path,
+        message: 'New value is or contains null, which a merge patch treats as a removal'
+      });
+      return;
+    }
+
+    if (steps.length === 0) {
+      state.patch = value;
+      return;
+    }
+
+    let node = state.patch;
+    for (const { token } of steps.slice(0, -1)) {
+      if (!PathUtils.hasOwn(node, token) || !PathUtils.isPlainObject(node[token])) {
+        PathUtils.defineOwn(node, token, {});
+      }
+      node = node[token];
+    }
+    PathUtils.defineOwn(node, steps[steps.length - 1].token, value);
+  }
+
+  /**
+   * Check whether a new value is or contains a null object member
+   * @param {*} value - Value to check
+   * @param {Set<Object>} [ancestors=new Set()] - Objects on the current branch, used to stop at circular references
+   * @returns {boolean} Whether a merge patch would read part of the value as a removal
+   * @private
+   */
+  static _containsNull(value, ancestors = new Set()) {
+    if (value === null) {
+      return true;
+    }
+    if (!PathUtils.isPlainObject(value) || ancestors.has(value)) {
+      return false;
+    }
+
+    ancestors.add(value);
+    const found = Object.keys(value).some(key => MergePatch._containsNull(value[key], ancestors));
+    ancestors.delete(value);
+    return found;
+  }
+}
+
+module.exports = MergePatch;
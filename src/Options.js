@@ -11,29 +11,114 @@ class Options {
    * Creates a new Options instance
    * @param {Object} options - Configuration options
    * @param {string[]} [options.ignoredKeys=[]] - Keys to ignore during comparison
-   * @param {Object} [options.equivalentValues={}] - Values to treat as equivalent
+   * @param {string[]} [options.ignoredPaths=[]] - Path patterns to ignore during comparison, e.g. `items[*].id` or `**.createdAt`
+   * @param {boolean} [options.listIgnoredPaths=false] - Whether to list the ignored paths in the result
+   * @param {Object} [options.equivalentValues={}] - Values to treat as equivalent, as value lists or `{ values, predicate, paths }` rules
    * @param {Object} [options.regexChecks={}] - Regex patterns for value validation
    * @param {boolean} [options.strictTypes=true] - Whether to strictly compare types
    * @param {boolean} [options.ignoreExtraKeys=false] - Whether to ignore keys in obj2 that aren't in obj1
+   * @param {string|Function} [options.keyNormalizer=null] - Pair differently named keys: 'caseInsensitive', 'snakeCamelKebab' or a `(key) => string` function
+   * @param {Object} [options.keyMap={}] - Key names of obj1 mapped to their renamed key in obj2, at any depth
+   * @param {Object} [options.pathMap={}] - Paths in obj1 mapped to the path they moved to in obj2
+   * @param {boolean} [options.includeSymbolKeys=false] - Whether to compare symbol-keyed properties
+   * @param {boolean} [options.includeNonEnumerable=false] - Whether to compare own non-enumerable properties
+   * @param {boolean} [options.checkPrototype=false] - Whether to report objects with different prototypes
+   * @param {string} [options.missingKeyPolicy='strict'] - How missing keys compare: 'strict', 'undefinedEqualsMissing' or 'nullEqualsMissing' (null or undefined)
    * @param {boolean} [options.matchKeysByName=false] - Whether to match regex by key name instead of only by path
+   * @param {Object} [options.arrayKeys={}] - Identity key used to pair array elements, by array path or pattern
+   * @param {boolean|string[]} [options.unorderedArrays=false] - Compare arrays ignoring element order, everywhere or at the given path patterns
+   * @param {boolean|string[]} [options.sequenceDiff=false] - Diff arrays as sequences reporting added, removed and changed elements, everywhere or at the given path patterns
+   * @param {number|Object} [options.numericTolerance=null] - Absolute tolerance for every number, or a map of path patterns to an absolute or `{ absolute, relative }` tolerance; use the '**' pattern for every path
+   * @param {string} [options.numberEquality=null] - How numbers are compared: 'strict' (===), 'sameValue' (Object.is) or 'sameValueZero' (NaN equals NaN, 0 equals -0); when unset, values compare with === and equivalentValues lists with Array#includes
+   * @param {number} [options.dateToleranceMs=0] - Maximum difference in milliseconds for Dates to be considered equal
+   * @param {Object} [options.comparators={}] - Custom comparison functions `(expected, actual, context) => boolean | { match, message }`, by path or pattern
+   * @param {Object} [options.normalizers={}] - Transforms applied to both values before comparing, by path or pattern: 'trim', 'lowercase', 'round(digits)', 'sortArray', a `(value, context) => value` function, or a list of them
+   * @param {number} [options.maxDepth=null] - Depth beyond which subtrees are compared as a whole instead of key by key
+   * @param {number} [options.maxDifferences=null] - Keep at most this many differences, stopping the comparison and marking the result as truncated when another is found; 0 only detects whether any difference exists
    */
   constructor(options = {}) {
     this.ignoredKeys = options.ignoredKeys || [];
+    this.ignoredPaths = options.ignoredPaths || [];
+    this.listIgnoredPaths = options.listIgnoredPaths || false;
     this.equivalentValues = options.equivalentValues || {};
     this.regexChecks = options.regexChecks || {};
     this.strictTypes = options.strictTypes !== undefined ? options.strictTypes : true;
     this.ignoreExtraKeys = options.ignoreExtraKeys || false;
+    this.keyNormalizer = options.keyNormalizer || null;
+    this.keyMap = options.keyMap || {};
+    this.pathMap = options.pathMap || {};
+    this.includeSymbolKeys = options.includeSymbolKeys || false;
+    this.includeNonEnumerable = options.includeNonEnumerable || false;
+    this.checkPrototype = options.checkPrototype || false;
+    this.missingKeyPolicy = options.missingKeyPolicy || 'strict';
     this.matchKeysByName = options.matchKeysByName !== undefined ? options.matchKeysByName : false;
+    this.arrayKeys = options.arrayKeys || {};
+    this.unorderedArrays = options.unorderedArrays || false;
+    this.sequenceDiff = options.sequenceDiff || false;
+    this.numericTolerance = options.numericTolerance !== undefined ? options.numericTolerance : null;
+    this.numberEquality = options.numberEquality || null;
+    this.dateToleranceMs = options.dateToleranceMs || 0;
+    this.comparators = options.comparators || {};
+    this.normalizers = options.normalizers || {};
+    this.maxDepth = options.maxDepth !== undefined ? options.maxDepth : null;
+    this.maxDifferences = options.maxDifferences !== undefined ? options.maxDifferences : null;
 
+    this._validateChoices();
     this._compileRegexPatterns();
   }
 
+  /**
+   * List the options in effect that can make different values compare as
+   * equal, so that a diff made with them does not fully describe the second
+   * object. Element order, left out by arrayKeys and unorderedArrays, is not counted.
+   * @param {Object} options - Options instance or plain options object
+   * @returns {string[]} Names of the options
+   */
+  static getLossyOptions(options) {
+    const isSet = value => {
+      if (value === null || value === undefined || value === false || value === 0) {
+        return false;
+      }
+      if (Array.isArray(value)) {
+        return value.length > 0;
+      }
+      return typeof value !== 'object' || Object.keys(value).length > 0;
+    };
+
+    const lossy = [
+      'ignoredKeys', 'ignoredPaths', 'ignoreExtraKeys', 'equivalentValues', 'keyNormalizer', 'keyMap',
+      'pathMap', 'numericTolerance', 'dateToleranceMs', 'comparators', 'normalizers'
+    ].filter(name => isSet(options[name]));
+
+    if (options.strictTypes === false) {
+      lossy.push('strictTypes');
+    }
+    if (options.missingKeyPolicy && options.missingKeyPolicy !== 'strict') {
+      lossy.push('missingKeyPolicy');
+    }
+    return lossy;
+  }
+
+  /**
+   * Check that options taking one of a fixed set of names are set to one of them
+   * @throws {Error} When missingKeyPolicy or numberEquality has an unknown value
+   * @private
+   */
+  _validateChoices() {
+    if (!['strict', 'undefinedEqualsMissing', 'nullEqualsMissing'].includes(this.missingKeyPolicy)) {
+      throw new Error(`Unknown missingKeyPolicy "${this.missingKeyPolicy}"`);
+    }
+    if (this.numberEquality !== null && !['strict', 'sameValue', 'sameValueZero'].includes(this.numberEquality)) {
+      throw new Error(`Unknown numberEquality "${this.numberEquality}"`);
+    }
+  }
+
   /**
    * Compile regex patterns if they're provided as strings
    * @private
    */
   _compileRegexPatterns() {
-    for (const key in this.regexChecks) {
+    for (const key of Object.keys(this.regexChecks)) {
       if (typeof this.regexChecks[key] === 'string') {
         this.regexChecks[key] = new RegExp(this.regexChecks[key]);
       }
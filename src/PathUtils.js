@@ -3,6 +3,13 @@
  * @author AshmeetSehgal.com
  */
 
+/**
+ * Compiled regular expressions for path patterns, keyed by pattern
+ * @type {Map<string, RegExp>}
+ * @private
+ */
+const patternCache = new Map();
+
 /**
  * Class for path-related utility functions
  */
@@ -12,21 +19,24 @@ class PathUtils {
    * @param {Object} obj - Object to get paths from
    * @param {string} [currentPath=''] - Current path being processed
    * @param {string[]} [paths=[]] - Array to collect paths
+   * @param {Set<Object>} [ancestors=new Set()] - Objects on the current branch, used to stop at circular references
    * @returns {string[]} All paths in the object
    */
-  static getAllPaths(obj, currentPath = '', paths = []) {
-    if (obj === null || typeof obj !== 'object') {
+  static getAllPaths(obj, currentPath = '', paths = [], ancestors = new Set()) {
+    if (obj === null || typeof obj !== 'object' || ancestors.has(obj)) {
       paths.push(currentPath);
       return paths;
     }
 
+    ancestors.add(obj);
+
     if (Array.isArray(obj)) {
       if (obj.length === 0) {
         paths.push(currentPath);
       } else {
         for (let i = 0; i < obj.length; i++) {
           const newPath = currentPath ? `${currentPath}[${i}]` : `[${i}]`;
-          PathUtils.getAllPaths(obj[i], newPath, paths);
+          PathUtils.getAllPaths(obj[i], newPath, paths, ancestors);
         }
       }
     } else {
@@ -36,16 +46,54 @@ class PathUtils {
       } else {
         for (const key of keys) {
           const newPath = currentPath ? `${currentPath}.${key}` : key;
-          PathUtils.getAllPaths(obj[key], newPath, paths);
+          PathUtils.getAllPaths(obj[key], newPath, paths, ancestors);
         }
       }
     }
 
+    ancestors.delete(obj);
     return paths;
   }
 
   /**
-   * Get value at a specific path in an object
+   * Check whether an object has an own property, ignoring inherited ones
+   * such as `toString` or `__proto__`; null and undefined have none
+   * @param {*} obj - Object to check
+   * @param {string|symbol} key - Property key
+   * @returns {boolean} Whether the key is an own property of the object
+   */
+  static hasOwn(obj, key) {
+    return obj !== null && obj !== undefined && Object.prototype.hasOwnProperty.call(obj, key);
+  }
+
+  /**
+   * Set an object member as an own property, so that `__proto__` keys do not
+   * change the prototype
+   * @param {Object} obj - Object to change
+   * @param {string} key - Member name
+   * @param {*} value - Member value
+   */
+  static defineOwn(obj, key, value) {
+    Object.defineProperty(obj, key, { value, writable: true, enumerable: true, configurable: true });
+  }
+
+  /**
+   * Check whether a value is a plain object, created by an object literal or
+   * with a null prototype
+   * @param {*} value - Value to check
+   * @returns {boolean} Whether the value is a plain object
+   */
+  static isPlainObject(value) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      return false;
+    }
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+  }
+
+  /**
+   * Get value at a specific path in an object. Only own properties are
+   * followed, so inherited members such as `constructor` resolve to undefined
    * @param {Object} obj - Object to traverse
    * @param {string} path - Path to the value
    * @returns {*} Value at the path
@@ -55,7 +103,7 @@ class PathUtils {
     let current = obj;
     
     for (const part of parts) {
-      if (current === null || typeof current !== 'object') {
+      if (current === null || typeof current !== 'object' || !PathUtils.hasOwn(current, part)) {
         return undefined;
       }
       current = current[part];
@@ -64,6 +112,40 @@ class PathUtils {
     return current;
   }
 
+  /**
+   * Check whether a path exists in an object
+   * @param {Object} obj - Object to traverse
+   * @param {string} path - Path to check
+   * @returns {boolean} Whether every part of the path exists
+   */
+  static hasPath(obj, path) {
+    const parts = path.replace(/\[(\d+)\]/g, '.$1').split('.');
+    let current = obj;
+
+    for (const part of parts) {
+      if (current === null || typeof current !== 'object' || !PathUtils.hasOwn(current, part)) {
+        return false;
+      }
+      current = current[part];
+    }
+
+    return true;
+  }
+
+  /**
+   * Check whether a path is nested below another path
+   * @param {string} path - Path to check
+   * @param {string} ancestor - Possible ancestor path; '' is the root
+   * @returns {boolean} Whether the path is a strict descendant of the ancestor
+   */
+  static isDescendantPath(path, ancestor) {
+    if (ancestor === '') {
+      return path !== '';
+    }
+    return path.length > ancestor.length && path.startsWith(ancestor) &&
+      (path[ancestor.length] === '.' || path[ancestor.length] === '[');
+  }
+
   /**
    * Extract key name from a path (last part after dot or array notation)
    * @param {string} path - Path to extract from
@@ -74,12 +156,16 @@ class PathUtils {
   }
 
   /**
-   * Build a new path by combining a base path and a key
+   * Build a new path by combining a base path and a key.
+   * Symbol keys are rendered in brackets, e.g. `order[Symbol(meta)]`
    * @param {string} path - Base path
-   * @param {string} key - Key to add
+   * @param {string|symbol} key - Key to add
    * @returns {string} New path
    */
   static buildPath(path, key) {
+    if (typeof key === 'symbol') {
+      return `${path}[${key.toString()}]`;
+    }
     return path ? `${path}.${key}` : key;
   }
 
@@ -92,6 +178,131 @@ class PathUtils {
   static buildArrayPath(path, index) {
     return `${path}[${index}]`;
   }
+
+  /**
+   * Build a new path for a Map entry. String keys are joined like object
+   * keys; other keys are rendered in brackets, e.g. `lookup[42]` or `lookup[{"id":1}]`
+   * @param {string} path - Base path
+   * @param {*} key - Map key
+   * @returns {string} New path
+   */
+  static buildMapPath(path, key) {
+    if (typeof key === 'string') {
+      return PathUtils.buildPath(path, key);
+    }
+    return `${path}[${PathUtils.formatKey(key)}]`;
+  }
+
+  /**
+   * Build the RFC 6901 JSON Pointer of a child from the pointer of its parent
+   * @param {string|null|undefined} pointer - Pointer of the parent; null or undefined when it has none
+   * @param {string|number|null} token - Key or array index of the child; null when a pointer cannot address it
+   * @returns {string|null} Pointer of the child, or null when it has none
+   */
+  static buildPointer(pointer, token) {
+    if (pointer === null || pointer === undefined || token === null) {
+      return null;
+    }
+    return `${pointer}/${String(token).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+  }
+
+  /**
+   * Convert a path as read by getValueAtPath into a JSON Pointer
+   * @param {string} path - Path such as `orders[0].id`
+   * @returns {string} JSON Pointer such as `/orders/0/id`
+   */
+  static toPointer(path) {
+    if (path === '') {
+      return '';
+    }
+    return path.replace(/\[(\d+)\]/g, '.$1').split('.').reduce((pointer, part) => PathUtils.buildPointer(pointer, part), '');
+  }
+
+  /**
+   * Render a non-string key for use in a path
+   * @param {*} key - Key to render
+   * @returns {string} Rendered key
+   */
+  static formatKey(key) {
+    if (typeof key === 'bigint') {
+      return `${key}n`;
+    }
+    if (typeof key === 'symbol' || typeof key === 'function') {
+      return key.toString();
+    }
+    if (key !== null && typeof key === 'object') {
+      try {
+        return JSON.stringify(key);
+      } catch (error) {
+        return Object.prototype.toString.call(key);
+      }
+    }
+    return String(key);
+  }
+
+  /**
+   * Check whether a path matches a path pattern.
+   * `[*]` matches any array index, `*` matches any single key and `**`
+   * matches any number of keys and indices, e.g. `**.createdAt`.
+   * @param {string} path - Path to test
+   * @param {string} pattern - Pattern such as `orders[*].lines` or `metrics.*`
+   * @returns {boolean} Whether the path matches the pattern
+   */
+  static matchesPattern(path, pattern) {
+    if (path === pattern) {
+      return true;
+    }
+
+    let regex = patternCache.get(pattern);
+    if (!regex) {
+      const source = pattern
+        .split(/(\*\*\.|\.\*\*|\*\*|\[\*\]|\*)/)
+        .map(part => {
+          if (part === '**.') return '(?:.*\\.)?';
+          if (part === '.**') return '(?:[.[].*)?';
+          if (part === '**') return '.*';
+          if (part === '[*]') return '\\[\\d+\\]';
+          if (part === '*') return '[^.[\\]]+';
+          return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('');
+      regex = new RegExp(`^${source}$`);
+      patternCache.set(pattern, regex);
+    }
+
+    return regex.test(path);
+  }
+
+  /**
+   * Check whether a path matches any pattern in a list
+   * @param {string} path - Path to test
+   * @param {string[]} patterns - Path patterns
+   * @returns {boolean} Whether any pattern matches the path
+   */
+  static matchesAnyPattern(path, patterns) {
+    return patterns.some(pattern => PathUtils.matchesPattern(path, pattern));
+  }
+
+  /**
+   * Find the first entry of a pattern map whose pattern matches a path.
+   * Exact paths take precedence over wildcard patterns.
+   * @param {Object} patterns - Map of path patterns to values
+   * @param {string} path - Path to look up
+   * @returns {*} The value for the matching pattern, or undefined
+   */
+  static findByPattern(patterns, path) {
+    if (PathUtils.hasOwn(patterns, path)) {
+      return patterns[path];
+    }
+
+    for (const pattern of Object.keys(patterns)) {
+      if (PathUtils.matchesPattern(path, pattern)) {
+        return patterns[pattern];
+      }
+    }
+
+    return undefined;
+  }
 }
 
 module.exports = PathUtils;
\ No newline at end of file
@@ -51,6 +51,42 @@ class RegexValidator {
     }
   }
 
+  /**
+   * Perform regex validation on a value and on every value nested in its
+   * arrays and objects, for subtrees that are not compared key by key
+   * @param {*} value - Value to validate
+   * @param {string} path - Path to the value
+   * @param {Set<Object>} [ancestors=new Set()] - Objects on the current branch, used to stop at circular references
+   */
+  validateSubtree(value, path, ancestors = new Set()) {
+    if (Object.keys(this.options.regexChecks).length === 0) {
+      return;
+    }
+    if (value === null || typeof value !== 'object') {
+      this.validateValue(value, path);
+      return;
+    }
+
+    const isArray = Array.isArray(value);
+    if (ancestors.has(value) || (!isArray && Object.prototype.toString.call(value) !== '[object Object]')) {
+      return;
+    }
+
+    ancestors.add(value);
+    if (isArray) {
+      value.forEach((item, i) => this.validateSubtree(item, PathUtils.buildArrayPath(path, i), ancestors));
+    } else {
+      for (const key of Object.keys(value)) {
+        const childPath = PathUtils.buildPath(path, key);
+        if (!this.options.ignoredKeys.includes(key) &&
+            !PathUtils.matchesAnyPattern(childPath, this.options.ignoredPaths)) {
+          this.validateSubtree(value[key], childPath, ancestors);
+        }
+      }
+    }
+    ancestors.delete(value);
+  }
+
   /**
    * Check a value against a regex pattern
    * @param {string} value - Value to check
@@ -3,6 +3,24 @@
  * @author AshmeetSehgal.com
  */
 
+const Options = require('./Options');
+const PathUtils = require('./PathUtils');
+
+/**
+ * Error thrown to stop traversal once the maxDifferences limit is reached
+ */
+class DifferenceLimitReached extends Error {
+  /**
+   * Creates a new DifferenceLimitReached error
+   * @param {number} limit - The difference limit that was reached
+   */
+  constructor(limit) {
+    super(`Comparison stopped after ${limit} difference(s)`);
+    this.name = 'DifferenceLimitReached';
+    this.limit = limit;
+  }
+}
+
 /**
  * Class for managing JSON comparison results
  */
@@ -20,6 +38,16 @@ class Result {
    * Reset the result structure
    */
   reset() {
+    this.pathAliases = [];
+    this.rawValues = new Map();
+    // Keys and indices of the path being visited, from the root down; the
+    // pointers are built from them only when an entry needs one
+    this.stackPaths = [''];
+    this.stackTokens = [null];
+    this.stackPointers = [''];
+    this.stackDepth = 1;
+    this.differences = 0;
+    this.truncated = false;
     this.data = {
       matched: {
         keys: [],
@@ -34,12 +62,15 @@ class Result {
         passed: [],
         failed: []
       },
+      ignoredPaths: [],
       summary: {
         matchPercentage: 0,
         totalKeysCompared: 0,
         totalMatched: 0,
         totalUnmatched: 0,
-        totalRegexChecks: 0
+        totalRegexChecks: 0,
+        truncated: false,
+        lossyOptions: []
       }
     };
   }
@@ -60,7 +91,7 @@ class Result {
    * @param {string} [match.message] - Optional message
    */
   addMatchedValue(match) {
-    this.data.matched.values.push(match);
+    this.data.matched.values.push(this._withRawValues(this._withActualPath(match)));
   }
 
   /**
@@ -71,7 +102,8 @@ class Result {
    * @param {string} unmatch.message - Explanation message
    */
   addUnmatchedKey(unmatch) {
-    this.data.unmatched.keys.push(unmatch);
+    this._countDifference();
+    this.data.unmatched.keys.push(this._withPointer(this._withActualPath(unmatch)));
   }
 
   /**
@@ -83,7 +115,8 @@ class Result {
    * @param {string} unmatch.message - Explanation message
    */
   addUnmatchedValue(unmatch) {
-    this.data.unmatched.values.push(unmatch);
+    this._countDifference();
+    this.data.unmatched.values.push(this._withRawValues(this._withPointer(this._withActualPath(unmatch))));
   }
 
   /**
@@ -95,7 +128,28 @@ class Result {
    * @param {string} unmatch.message - Explanation message
    */
   addUnmatchedType(unmatch) {
-    this.data.unmatched.types.push(unmatch);
+    // Type mismatches only count as differences with strict types, as in the summary
+    const strictTypes = this.options.strictTypes !== undefined ? this.options.strictTypes : true;
+    if (strictTypes) {
+      this._countDifference();
+    }
+
+    this.data.unmatched.types.push(this._withRawValues(this._withPointer(this._withActualPath(unmatch))));
+  }
+
+  /**
+   * Count a difference before it is recorded, and stop the comparison
+   * instead when it goes beyond the maxDifferences limit
+   * @throws {DifferenceLimitReached} When the limit has already been reached
+   * @private
+   */
+  _countDifference() {
+    const limit = this.options.maxDifferences;
+    if (limit !== null && limit !== undefined && this.differences >= limit) {
+      this.truncated = true;
+      throw new DifferenceLimitReached(limit);
+    }
+    this.differences++;
   }
 
   /**
@@ -107,7 +161,7 @@ class Result {
    * @param {boolean} [check.matchedByName] - Whether matched by key name
    */
   addPassedRegexCheck(check) {
-    this.data.regexChecks.passed.push(check);
+    this.data.regexChecks.passed.push(this._withActualPath(check));
   }
 
   /**
@@ -120,7 +174,207 @@ class Result {
    * @param {boolean} [check.matchedByName] - Whether matched by key name
    */
   addFailedRegexCheck(check) {
-    this.data.regexChecks.failed.push(check);
+    this.data.regexChecks.failed.push(this._withActualPath(check));
+  }
+
+  /**
+   * Add a path skipped by the ignoredPaths option
+   * @param {string} path - Path that was ignored
+   */
+  addIgnoredPath(path) {
+    this.data.ignoredPaths.push(path);
+  }
+
+  /**
+   * Record the values at a path before the normalizers option transformed them
+   * @param {string} path - Path of the values
+   * @param {*} expected - Raw value in the first object
+   * @param {*} actual - Raw value in the second object
+   */
+  setRawValues(path, expected, actual) {
+    this.rawValues.set(path, { expected, actual });
+  }
+
+  /**
+   * Record the key or index of a path about to be visited in the first
+   * object. Paths of finished siblings are dropped from the visited path, so
+   * it always runs from the root down to the parent of the new path.
+   * @param {string} path - Path of the child
+   * @param {string} parentPath - Path of the parent
+   * @param {string|number|null} token - Key or array index of the child, or
+   * null when a JSON Pointer cannot address it, such as a Map or Set entry or a symbol key
+   */
+  enterPath(path, parentPath, token) {
+    let parent = this.stackDepth - 1;
+    while (parent > 0 && this.stackPaths[parent] !== parentPath) {
+      parent--;
+    }
+    const depth = parent + 1;
+    this.stackPaths[depth] = path;
+    this.stackTokens[depth] = token;
+    // A parent that was not visited, e.g. in a nested comparison, leaves the pointer unknown
+    this.stackPointers[depth] = this.stackPaths[parent] === parentPath ? undefined : null;
+    this.stackDepth = depth + 1;
+  }
+
+  /**
+   * Record a path about to be visited from the root, with its JSON Pointer
+   * @param {string} path - Path of the value
+   * @param {string|null} pointer - JSON Pointer, or null when there is none
+   */
+  setPointer(path, pointer) {
+    this.stackPaths[1] = path;
+    this.stackTokens[1] = null;
+    this.stackPointers[1] = pointer;
+    this.stackDepth = 2;
+  }
+
+  /**
+   * Get the JSON Pointer of a path on the visited path in the first object
+   * @param {string} path - Path of the value
+   * @returns {string|null} JSON Pointer, or null when there is none
+   */
+  getPointer(path) {
+    let index = this.stackDepth - 1;
+    while (index >= 0 && this.stackPaths[index] !== path) {
+      index--;
+    }
+    if (index < 0) {
+      return null;
+    }
+
+    let known = index;
+    while (this.stackPointers[known] === undefined) {
+      known--;
+    }
+    for (let i = known + 1; i <= index; i++) {
+      this.stackPointers[i] = PathUtils.buildPointer(this.stackPointers[i - 1], this.stackTokens[i]);
+    }
+    return this.stackPointers[index];
+  }
+
+  /**
+   * Start reporting paths under a prefix of the first object with the
+   * corresponding prefix of the second object, for keys paired under
+   * different names
+   * @param {string} path - Path in the first object
+   * @param {string} actualPath - Corresponding path in the second object
+   * @param {string|Function|null} [actualPointer=null] - JSON Pointer of the path in the
+   * second object, or a function building it when an entry first needs it
+   */
+  pushPathAlias(path, actualPath, actualPointer = null) {
+    this.pathAliases.push({ path, actualPath, actualPointer });
+  }
+
+  /**
+   * Stop reporting the most recently pushed path alias
+   */
+  popPathAlias() {
+    this.pathAliases.pop();
+  }
+
+  /**
+   * Get the path in the second object that corresponds to a path in the first
+   * @param {string} path - Path in the first object
+   * @returns {string} Corresponding path in the second object
+   */
+  getActualPath(path) {
+    for (let i = this.pathAliases.length - 1; i >= 0; i--) {
+      const alias = this.pathAliases[i];
+      if (path === alias.path) {
+        return alias.actualPath;
+      }
+      if (PathUtils.isDescendantPath(path, alias.path)) {
+        return alias.actualPath + path.slice(alias.path.length);
+      }
+    }
+    return path;
+  }
+
+  /**
+   * Get the JSON Pointer in the second object that corresponds to a path in the first
+   * @param {string} path - Path in the first object
+   * @returns {string|null} Corresponding JSON Pointer, or null when there is none
+   */
+  getActualPointer(path) {
+    const pointer = this.getPointer(path);
+    if (typeof pointer !== 'string') {
+      return null;
+    }
+    for (let i = this.pathAliases.length - 1; i >= 0; i--) {
+      const alias = this.pathAliases[i];
+      if (path === alias.path || PathUtils.isDescendantPath(path, alias.path)) {
+        if (typeof alias.actualPointer === 'function') {
+          alias.actualPointer = alias.actualPointer();
+        }
+        const aliasPointer = this.getPointer(alias.path);
+        if (typeof alias.actualPointer !== 'string' || typeof aliasPointer !== 'string') {
+          return null;
+        }
+        return alias.actualPointer + pointer.slice(aliasPointer.length);
+      }
+    }
+    return pointer;
+  }
+
+  /**
+   * Add the path in the second object to an entry when it differs from its path
+   * @param {Object} entry - Result entry
+   * @returns {Object} The entry
+   * @private
+   */
+  _withActualPath(entry) {
+    if (this.pathAliases.length > 0) {
+      const actualPath = this.getActualPath(entry.path);
+      if (actualPath !== entry.path) {
+        entry.actualPath = actualPath;
+      }
+    }
+    return entry;
+  }
+
+  /**
+   * Add the JSON Pointer of an entry's location in the first object, and in
+   * the second object for entries with an `actualPath`, when the location can
+   * be addressed by one. Pointers are built from the keys and indices visited,
+   * so keys containing `.` or brackets resolve correctly. They are not
+   * enumerable, so that they stay out of the printed and serialised result.
+   * @param {Object} entry - Result entry
+   * @returns {Object} The entry
+   * @private
+   */
+  _withPointer(entry) {
+    const define = (name, value) => {
+      Object.defineProperty(entry, name, { value, writable: true, enumerable: false, configurable: true });
+    };
+
+    const pointer = this.getPointer(entry.path);
+    if (pointer !== null) {
+      define('pointer', pointer);
+    }
+    if (entry.actualPath !== undefined) {
+      const actualPointer = entry.actualPointer !== undefined ? entry.actualPointer : this.getActualPointer(entry.path);
+      if (actualPointer !== null) {
+        define('actualPointer', actualPointer);
+      } else {
+        delete entry.actualPointer;
+      }
+    }
+    return entry;
+  }
+
+  /**
+   * Add the raw values to an entry whose values were normalised
+   * @param {Object} entry - Result entry
+   * @returns {Object} The entry
+   * @private
+   */
+  _withRawValues(entry) {
+    const raw = this.rawValues.get(entry.path);
+    if (raw) {
+      entry.raw = raw;
+    }
+    return entry;
   }
 
   /**
@@ -145,7 +399,9 @@ class Result {
       totalKeysCompared,
       totalMatched,
       totalUnmatched,
-      totalRegexChecks
+      totalRegexChecks,
+      truncated: this.truncated,
+      lossyOptions: Options.getLossyOptions(this.options)
     };
   }
 
@@ -158,4 +414,5 @@ class Result {
   }
 }
 
-module.exports = Result;
\ No newline at end of file
+module.exports = Result;
+module.exports.DifferenceLimitReached = DifferenceLimitReached;
\ No newline at end of file
@@ -0,0 +1,157 @@
+/**
+ * @fileoverview Sequence diff utilities for JSONCompare
+ * @author AshmeetSehgal.com
+ */
+
+/**
+ * Class for computing differences between two sequences
+ */
+class SequenceDiff {
+  /**
+   * Diff two sequences with Myers' O(ND) algorithm, which finds a shortest
+   * edit script and so a longest common subsequence. Time and memory grow
+   * with the number of differences rather than with the product of the lengths.
+   * @param {Array} seq1 - First sequence
+   * @param {Array} seq2 - Second sequence
+   * @param {Function} [equals] - Element equality check `(item1, item2, index1, index2) => boolean`
+   * @returns {Object[]} Operations in order, each `{ type, index1, index2 }` where
+   * type is `equal`, `removed` or `added`
+   */
+  static diff(seq1, seq2, equals = (a, b) => a === b) {
+    const isEqual = (i, j) => equals(seq1[i], seq2[j], i, j);
+
+    // Common prefix and suffix need no search
+    let start = 0;
+    while (start < seq1.length && start < seq2.length && isEqual(start, start)) {
+      start++;
+    }
+
+    let end1 = seq1.length;
+    let end2 = seq2.length;
+    while (end1 > start && end2 > start && isEqual(end1 - 1, end2 - 1)) {
+      end1--;
+      end2--;
+    }
+
+    const operations = [];
+    for (let k = 0; k < start; k++) {
+      operations.push({ type: 'equal', index1: k, index2: k });
+    }
+    for (const { type, index1, index2 } of SequenceDiff._middle(end1 - start, end2 - start,
+      (i, j) => isEqual(start + i, start + j))) {
+      if (type === 'added') {
+        operations.push({ type, index2: start + index2 });
+      } else if (type === 'removed') {
+        operations.push({ type, index1: start + index1 });
+      } else {
+        operations.push({ type, index1: start + index1, index2: start + index2 });
+      }
+    }
+    for (let k = 0; k < seq1.length - end1; k++) {
+      operations.push({ type: 'equal', index1: end1 + k, index2: end2 + k });
+    }
+
+    return operations;
+  }
+
+  /**
+   * Find the shortest edit script between two sequences
+   * @param {number} n - Length of the first sequence
+   * @param {number} m - Length of the second sequence
+   * @param {Function} isEqual - Equality check by indices `(i, j) => boolean`
+   * @returns {Object[]} Operations in order
+   * @private
+   */
+  static _middle(n, m, isEqual) {
+    const max = n + m;
+    const offset = max + 1;
+    // v[offset + k] is the furthest x reached on diagonal k = x - y
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+
+    let done = max === 0;
+    for (let d = 0; d <= max && !done; d++) {
+      // Keep the diagonals -d-1..d+1 before this round for the walk back
+      trace.push(v.slice(offset - d - 1, offset + d + 2));
+      for (let k = -d; k <= d; k += 2) {
+        let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+        let y = x - k;
+        while (x < n && y < m && isEqual(x, y)) {
+          x++;
+          y++;
+        }
+        v[offset + k] = x;
+        if (x >= n && y >= m) {
+          done = true;
+          break;
+        }
+      }
+    }
+
+    const operations = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d >= 0; d--) {
+      const furthest = k => trace[d][k + d + 1];
+      const k = x - y;
+      const prevK = (k === -d || (k !== d && furthest(k - 1) < furthest(k + 1))) ? k + 1 : k - 1;
+      const prevX = furthest(prevK);
+      const prevY = prevX - prevK;
+
+      while (x > prevX && y > prevY) {
+        x--;
+        y--;
+        operations.push({ type: 'equal', index1: x, index2: y });
+      }
+      if (d > 0) {
+        operations.push(x === prevX
+          ? { type: 'added', index2: prevY }
+          : { type: 'removed', index1: prevX });
+      }
+      x = prevX;
+      y = prevY;
+    }
+
+    return operations.reverse();
+  }
+
+  /**
+   * Pair up removed and added elements between two equal runs as changes
+   * @param {Object[]} operations - Operations returned by {@link SequenceDiff.diff}
+   * @returns {Object[]} Operations where paired removals and additions become
+   * a single `changed` operation with both indices
+   */
+  static pairChanges(operations) {
+    const paired = [];
+    let removed = [];
+    let added = [];
+
+    const flush = () => {
+      const count = Math.min(removed.length, added.length);
+      for (let k = 0; k < count; k++) {
+        paired.push({ type: 'changed', index1: removed[k].index1, index2: added[k].index2 });
+      }
+      paired.push(...removed.slice(count), ...added.slice(count));
+      removed = [];
+      added = [];
+    };
+
+    for (const operation of operations) {
+      if (operation.type === 'removed') {
+        removed.push(operation);
+      } else if (operation.type === 'added') {
+        added.push(operation);
+      } else {
+        flush();
+        paired.push(operation);
+      }
+    }
+    flush();
+
+    return paired;
+  }
+}
+
+module.exports = SequenceDiff;
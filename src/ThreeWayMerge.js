@@ -0,0 +1,313 @@
+/**
+ * @fileoverview Three-way merge for JSONCompare
+ * @author AshmeetSehgal.com
+ */
+
+const PathUtils = require('./PathUtils');
+
+/**
+ * Placeholder for a key or array element that does not exist on one side
+ * @type {symbol}
+ * @private
+ */
+const MISSING = Symbol('missing');
+
+/**
+ * Class for merging two edited copies of a base document
+ */
+class ThreeWayMerge {
+  /**
+   * Creates a new ThreeWayMerge instance
+   * @param {Object} options - Options instance
+   * @param {Object} comparator - Comparator instance used to detect changes
+   */
+  constructor(options, comparator) {
+    this.options = options;
+    this.comparator = comparator;
+    this.conflicts = [];
+
+    // Objects currently being merged on each side, mapped to their paths
+    this._ancestorsOurs = new Map();
+    this._ancestorsTheirs = new Map();
+  }
+
+  /**
+   * Merge the changes made on two copies of a base document. A value changed
+   * on only one side takes that side's value; values changed on both sides
+   * are merged key by key, and array elements by identity key when
+   * `arrayKeys` is configured for the array. Changes that still overlap are
+   * reported as conflicts and keep our value in the merged document, as do
+   * values on both sides that refer back to an object being merged.
+   * Ignored keys and paths never conflict and keep our value, or theirs
+   * when we do not have the key. Unchanged subtrees are shared with the inputs.
+   * @param {*} base - Common ancestor
+   * @param {*} ours - Our edited copy
+   * @param {*} theirs - Their edited copy
+   * @returns {{merged: *, conflicts: Object[]}} Merged document, and one
+   * `{ path, base, ours, theirs, message }` entry per conflict, with undefined
+   * for a missing value
+   */
+  merge(base, ours, theirs) {
+    this.conflicts = [];
+    this._ancestorsOurs.clear();
+    this._ancestorsTheirs.clear();
+    const merged = this._mergeValue(base, ours, theirs, '');
+    return {
+      merged: merged === MISSING ? undefined : merged,
+      conflicts: this.conflicts
+    };
+  }
+
+  /**
+   * Merge three versions of a value
+   * @param {*} base - Base value, or MISSING
+   * @param {*} ours - Our value, or MISSING
+   * @param {*} theirs - Their value, or MISSING
+   * @param {string} path - Path of the value
+   * @returns {*} Merged value, or MISSING when the value is deleted
+   * @private
+   */
+  _mergeValue(base, ours, theirs, path) {
+    if (this._equals(ours, theirs, path)) {
+      return ours;
+    }
+    // Containers equal to the base can still differ from it in ignored keys,
+    // so they are merged key by key to keep our ignored values
+    const oursUnchanged = this._equals(base, ours, path);
+    const hasIgnored = this.options.ignoredKeys.length > 0 || this.options.ignoredPaths.length > 0;
+    if (oursUnchanged && !(hasIgnored && this._isMergeable(base, ours, theirs, path))) {
+      return theirs;
+    }
+    if (this._equals(base, theirs, path)) {
+      return ours;
+    }
+
+    // A side that refers back to an object being merged would merge forever
+    if (this._ancestorsOurs.has(ours) || this._ancestorsTheirs.has(theirs)) {
+      const target = this._ancestorsOurs.has(ours) ? this._ancestorsOurs.get(ours) : this._ancestorsTheirs.get(theirs);
+      this._addConflict(base, ours, theirs, path, `Circular reference to ${target || '(root)'} cannot be merged`);
+      return ours;
+    }
+
+    // Both sides changed the value: merge containers of the same kind further
+    const kind = this._isMergeable(base, ours, theirs, path);
+    if (kind === 'object') {
+      return this._mergeNested(ours, theirs, path,
+        () => this._mergeObjects(base === MISSING ? {} : base, ours, theirs, path));
+    }
+    if (kind === 'array') {
+      const keyField = PathUtils.findByPattern(this.options.arrayKeys, path);
+      const merged = this._mergeNested(ours, theirs, path,
+        () => this._mergeArraysByKey(base === MISSING ? [] : base, ours, theirs, path, keyField));
+      if (merged !== undefined) {
+        return merged;
+      }
+    }
+
+    if (oursUnchanged) {
+      return theirs;
+    }
+    this._addConflict(base, ours, theirs, path);
+    return ours;
+  }
+
+  /**
+   * Check whether three versions of a value are containers that can be
+   * merged further: plain objects, or arrays paired by `arrayKeys`
+   * @param {*} base - Base value, or MISSING
+   * @param {*} ours - Our value, or MISSING
+   * @param {*} theirs - Their value, or MISSING
+   * @param {string} path - Path of the value
+   * @returns {string|null} 'object' or 'array', or null when the value is merged as a whole
+   * @private
+   */
+  _isMergeable(base, ours, theirs, path) {
+    if (PathUtils.isPlainObject(ours) && PathUtils.isPlainObject(theirs) &&
+        (base === MISSING || PathUtils.isPlainObject(base))) {
+      return 'object';
+    }
+    if (PathUtils.findByPattern(this.options.arrayKeys, path) !== undefined &&
+        Array.isArray(ours) && Array.isArray(theirs) && (base === MISSING || Array.isArray(base))) {
+      return 'array';
+    }
+    return null;
+  }
+
+  /**
+   * Merge the contents of two containers while they are marked as being merged
+   * @param {Object} ours - Our container
+   * @param {Object} theirs - Their container
+   * @param {string} path - Path of the containers
+   * @param {Function} merge - Merges the contents and returns the result
+   * @returns {*} Result of the merge
+   * @private
+   */
+  _mergeNested(ours, theirs, path, merge) {
+    this._ancestorsOurs.set(ours, path);
+    this._ancestorsTheirs.set(theirs, path);
+    try {
+      return merge();
+    } finally {
+      this._ancestorsOurs.delete(ours);
+      this._ancestorsTheirs.delete(theirs);
+    }
+  }
+
+  /**
+   * Merge three versions of an object key by key
+   * @param {Object} base - Base object
+   * @param {Object} ours - Our object
+   * @param {Object} theirs - Their object
+   * @param {string} path - Path of the objects
+   * @returns {Object} Merged object
+   * @private
+   */
+  _mergeObjects(base, ours, theirs, path) {
+    const keys = new Set([...Object.keys(base), ...Object.keys(ours), ...Object.keys(theirs)]);
+    const merged = {};
+
+    for (const key of keys) {
+      const childPath = PathUtils.buildPath(path, key);
+      const [value1, value2, value3] = [base, ours, theirs].map(obj => this._get(obj, key));
+
+      let value;
+      if (this.options.ignoredKeys.includes(key) ||
+          PathUtils.matchesAnyPattern(childPath, this.options.ignoredPaths)) {
+        value = value2 !== MISSING ? value2 : value3;
+      } else {
+        value = this._mergeValue(value1, value2, value3, childPath);
+      }
+
+      if (value !== MISSING) {
+        PathUtils.defineOwn(merged, key, value);
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * Merge three versions of an array by pairing elements on an identity key.
+   * Elements keep our order, followed by the elements only they added.
+   * @param {Array} base - Base array
+   * @param {Array} ours - Our array
+   * @param {Array} theirs - Their array
+   * @param {string} path - Path of the arrays
+   * @param {string} keyField - Name of the identity key of each element
+   * @returns {Array|undefined} Merged array, or undefined when an element
+   * has no identity key or shares it with another element
+   * @private
+   */
+  _mergeArraysByKey(base, ours, theirs, path, keyField) {
+    const indexed = [base, ours, theirs].map(arr => this._indexByKey(arr, keyField));
+    if (indexed.includes(null)) {
+      return undefined;
+    }
+    const [base1, ours1, theirs1] = indexed;
+
+    const keys = new Set([...ours1.keys(), ...base1.keys(), ...theirs1.keys()]);
+    const merged = [];
+    for (const key of keys) {
+      const source = base1.has(key) ? base1 : (ours1.has(key) ? ours1 : theirs1);
+      const childPath = PathUtils.buildArrayPath(path, source.get(key).index);
+      const value = this._mergeValue(
+        base1.has(key) ? base1.get(key).value : MISSING,
+        ours1.has(key) ? ours1.get(key).value : MISSING,
+        theirs1.has(key) ? theirs1.get(key).value : MISSING,
+        childPath
+      );
+
+      if (value !== MISSING) {
+        merged.push({ value, order: ours1.has(key) ? ours1.get(key).index : Infinity });
+      }
+    }
+
+    // Our elements keep their order, elements added only by them go last
+    return merged
+      .map((item, position) => ({ ...item, position }))
+      .sort((a, b) => (a.order - b.order) || (a.position - b.position))
+      .map(item => item.value);
+  }
+
+  /**
+   * Index array elements by their identity key
+   * @param {Array} arr - Array to index
+   * @param {string} keyField - Name of the identity key
+   * @returns {Map<*, {value: *, index: number}>|null} Elements by key, or
+   * null when an element has no key or a key repeats
+   * @private
+   */
+  _indexByKey(arr, keyField) {
+    const byKey = new Map();
+    for (let index = 0; index < arr.length; index++) {
+      const item = arr[index];
+      const key = item !== null && typeof item === 'object' && PathUtils.hasOwn(item, keyField)
+        ? item[keyField]
+        : undefined;
+      if (key === undefined || byKey.has(key)) {
+        return null;
+      }
+      byKey.set(key, { value: arr[index], index });
+    }
+    return byKey;
+  }
+
+  /**
+   * Check whether two versions of a value are equal under the comparison options
+   * @param {*} val1 - First value, or MISSING
+   * @param {*} val2 - Second value, or MISSING
+   * @param {string} path - Path of the values
+   * @returns {boolean} Whether the values are equal
+   * @private
+   */
+  _equals(val1, val2, path) {
+    if (val1 === MISSING || val2 === MISSING) {
+      return val1 === val2;
+    }
+    return this.comparator.isEquivalent(val1, val2, path);
+  }
+
+  /**
+   * Record a conflict between our and their changes
+   * @param {*} base - Base value, or MISSING
+   * @param {*} ours - Our value, or MISSING
+   * @param {*} theirs - Their value, or MISSING
+   * @param {string} path - Path of the value
+   * @param {string} [reason] - Message to use instead of one describing the changes
+   * @private
+   */
+  _addConflict(base, ours, theirs, path, reason) {
+    const value = version => (version === MISSING ? undefined : version);
+    let message = 'Both sides changed the value';
+    if (reason) {
+      message = reason;
+    } else if (ours === MISSING) {
+      message = 'We deleted the value and they changed it';
+    } else if (theirs === MISSING) {
+      message = 'They deleted the value and we changed it';
+    } else if (base === MISSING) {
+      message = 'Both sides added different values';
+    }
+
+    this.conflicts.push({
+      path,
+      base: value(base),
+      ours: value(ours),
+      theirs: value(theirs),
+      message
+    });
+  }
+
+  /**
+   * Get an own property of an object
+   * @param {Object} obj - Object to read
+   * @param {string} key - Property key
+   * @returns {*} The value, or MISSING when the object has no such own property
+   * @private
+   */
+  _get(obj, key) {
+    return PathUtils.hasOwn(obj, key) ? obj[key] : MISSING;
+  }
+}
+
+module.exports = ThreeWayMerge;
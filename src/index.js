@@ -4,6 +4,15 @@
  */
 
 const JSONCompare = require('./JSONCompare');
+const DiffFormatter = require('./DiffFormatter');
+const JSONPatch = require('./JSONPatch');
+const MergePatch = require('./MergePatch');
 
 module.exports = JSONCompare;
-module.exports.default = JSONCompare;
\ No newline at end of file
+module.exports.default = JSONCompare;
+module.exports.toJSONPatch = JSONPatch.fromResult;
+module.exports.applyDiff = JSONPatch.applyDiff;
+module.exports.revertDiff = JSONPatch.revertDiff;
+module.exports.DiffVerificationError = JSONPatch.DiffVerificationError;
+module.exports.toMergePatch = MergePatch.fromResult;
+module.exports.formatDiff = (obj1, obj2, result, options) => new DiffFormatter(options).format(obj1, obj2, result);
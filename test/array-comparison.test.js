@@ -0,0 +1,238 @@
+/**
+ * @fileoverview Unit tests for array comparison modes in JSONCompare
+ */
+
+const JSONCompare = require('../index');
+
+describe('Array Comparison Tests', () => {
+  const users1 = {
+    users: [
+      { id: 1, name: 'Alice' },
+      { id: 2, name: 'Bob' }
+    ]
+  };
+
+  // Test 1: Identity key pairing ignores insertions at the front
+  test('Should pair array elements by identity key', () => {
+    const users2 = {
+      users: [
+        { id: 3, name: 'Carol' },
+        { id: 1, name: 'Alice' },
+        { id: 2, name: 'Bob' }
+      ]
+    };
+
+    const comparator = new JSONCompare({ arrayKeys: { users: 'id' } });
+    const result = comparator.compare(users1, users2);
+
+    expect(result.unmatched.keys).toHaveLength(0);
+    expect(result.unmatched.values).toHaveLength(1);
+    expect(result.unmatched.values[0]).toMatchObject({
+      path: 'users[0]',
+      key: 3,
+      index2: 0,
+      change: 'added',
+      actual: { id: 3, name: 'Carol' }
+    });
+  });
+
+  // Test 2: Removed elements and nested differences in paired elements
+  test('Should report removed elements and recurse into paired elements', () => {
+    const users2 = {
+      users: [
+        { id: 2, name: 'Robert' }
+      ]
+    };
+
+    const comparator = new JSONCompare({ arrayKeys: { users: 'id' } });
+    const result = comparator.compare(users1, users2);
+
+    const removed = result.unmatched.values.find(item => item.change === 'removed');
+    expect(removed).toMatchObject({ path: 'users[0]', key: 1, index1: 0 });
+    expect(removed.message).toContain('id "1"');
+
+    const changed = result.unmatched.values.find(item => item.path === 'users[1].name');
+    expect(changed).toMatchObject({ expected: 'Bob', actual: 'Robert' });
+  });
+
+  // Test 3: Identity keys configured by wildcard path pattern
+  test('Should resolve identity keys through path patterns', () => {
+    const order1 = {
+      orders: [
+        { lines: [{ sku: 'A', qty: 1 }, { sku: 'B', qty: 2 }] }
+      ]
+    };
+    const order2 = {
+      orders: [
+        { lines: [{ sku: 'B', qty: 2 }, { sku: 'A', qty: 1 }] }
+      ]
+    };
+
+    const comparator = new JSONCompare({ arrayKeys: { 'orders[*].lines': 'sku' } });
+    const result = comparator.compare(order1, order2);
+
+    expect(result.summary.matchPercentage).toBe(100);
+    expect(result.unmatched.values).toHaveLength(0);
+  });
+
+  // Test 4: Unordered comparison of primitive and deep elements
+  test('Should ignore element order when unorderedArrays is enabled', () => {
+    const response1 = {
+      results: [{ id: 'a', tags: ['x'] }, { id: 'b', tags: ['y'] }, 3]
+    };
+    const response2 = {
+      results: [3, { id: 'b', tags: ['y'] }, { id: 'a', tags: ['x'] }]
+    };
+
+    const comparator = new JSONCompare({ unorderedArrays: true });
+    const result = comparator.compare(response1, response2);
+
+    expect(result.unmatched.values).toHaveLength(0);
+    expect(result.matched.values).toContainEqual(expect.objectContaining({
+      path: 'results[0]',
+      index1: 0,
+      index2: 2
+    }));
+  });
+
+  // Test 5: Only genuinely missing or extra elements are reported
+  test('Should report missing and extra elements with indices from both sides', () => {
+    const comparator = new JSONCompare({ unorderedArrays: ['items'] });
+    const result = comparator.compare(
+      { items: [1, 2, 2, 3] },
+      { items: [2, 4, 1, 2] }
+    );
+
+    expect(result.unmatched.values).toHaveLength(2);
+    expect(result.unmatched.values[0]).toMatchObject({ path: 'items[3]', index1: 3, change: 'removed', expected: 3 });
+    expect(result.unmatched.values[1]).toMatchObject({ path: 'items[1]', index2: 1, change: 'added', actual: 4 });
+  });
+
+  // Test 6: Unordered mode only applies to configured paths
+  test('Should keep index comparison outside the configured paths', () => {
+    const comparator = new JSONCompare({ unorderedArrays: ['tags'] });
+    const result = comparator.compare(
+      { tags: ['a', 'b'], order: ['a', 'b'] },
+      { tags: ['b', 'a'], order: ['b', 'a'] }
+    );
+
+    expect(result.unmatched.values.map(item => item.path)).toEqual(['order[0]', 'order[1]']);
+  });
+
+  // Test 7: Sequence diff reports a single insertion
+  test('Should report a mid-array insertion as one added element', () => {
+    const comparator = new JSONCompare({ sequenceDiff: true });
+    const result = comparator.compare(
+      { steps: ['a', 'b', 'c', 'd'] },
+      { steps: ['a', 'b', 'x', 'c', 'd'] }
+    );
+
+    expect(result.unmatched.values).toHaveLength(1);
+    expect(result.unmatched.values[0]).toMatchObject({
+      path: 'steps[2]',
+      actual: 'x',
+      index2: 2,
+      change: 'added'
+    });
+    expect(result.matched.values).toContainEqual(expect.objectContaining({ index1: 3, index2: 4 }));
+  });
+
+  // Test 8: Sequence diff pairs replaced elements as changes
+  test('Should report removed and changed elements with both indices', () => {
+    const comparator = new JSONCompare({ sequenceDiff: ['list'] });
+    const result = comparator.compare(
+      { list: [{ id: 1 }, { id: 2 }, { id: 3 }, { id: 4 }] },
+      { list: [{ id: 1 }, { id: 5 }, { id: 4 }] }
+    );
+
+    const changes = result.unmatched.values.map(({ change, index1, index2 }) => ({ change, index1, index2 }));
+    expect(changes).toEqual([
+      { change: 'changed', index1: 1, index2: 1 },
+      { change: 'removed', index1: 2, index2: undefined }
+    ]);
+  });
+
+  // Test 9: Long lists with few differences are diffed without a full table
+  test('Should diff long lists of objects with few differences', () => {
+    const list1 = Array.from({ length: 5000 }, (item, i) => ({ id: i, name: `item ${i}` }));
+    const list2 = [...list1.slice(0, 2500), { id: -1, name: 'new' }, ...list1.slice(2500, 4999)];
+
+    const result = new JSONCompare({ sequenceDiff: true }).compare({ list: list1 }, { list: list2 });
+
+    const changes = result.unmatched.values.map(({ change, index1, index2 }) => ({ change, index1, index2 }));
+    expect(changes).toEqual([
+      { change: 'added', index1: undefined, index2: 2500 },
+      { change: 'removed', index1: 4999, index2: undefined }
+    ]);
+  });
+
+  // Test 10: Large unordered arrays pair identical elements directly
+  test('Should pair large reordered arrays of objects', () => {
+    const list1 = Array.from({ length: 3000 }, (item, i) => ({ id: i, tags: [`t${i % 7}`] }));
+    const list2 = [...list1].reverse();
+    list2[10] = { id: 'other', tags: [] };
+
+    const result = new JSONCompare({ unorderedArrays: true }).compare({ list: list1 }, { list: list2 });
+
+    expect(result.unmatched.values.map(({ path, change }) => ({ path, change }))).toEqual([
+      { path: 'list[2989]', change: 'removed' },
+      { path: 'list[10]', change: 'added' }
+    ]);
+    expect(result.matched.values.find(item => item.index1 === 0)).toMatchObject({ index2: 2999 });
+  });
+
+  // Test 11: Regex checks run on elements paired regardless of order
+  test('Should run regex checks on paired unordered elements', () => {
+    const obj1 = { users: [{ email: 'bad' }, { email: 'a@example.com' }] };
+    const comparator = new JSONCompare({ unorderedArrays: true, regexChecks: { 'users[0].email': /@/ } });
+
+    expect(comparator.compareAndValidate(obj1, obj1).regexChecks.failed).toHaveLength(1);
+
+    const reordered = { users: [{ email: 'a@example.com' }, { email: 'bad' }] };
+    expect(comparator.compareAndValidate(obj1, reordered).regexChecks.failed).toEqual([
+      expect.objectContaining({ path: 'users[0].email', actualPath: 'users[1].email', value: 'bad' })
+    ]);
+  });
+
+  // Test 12: Regex checks run on equal and changed elements of a sequence diff
+  test('Should run regex checks on elements paired by a sequence diff', () => {
+    const obj1 = { users: [{ email: 'bad' }, { email: 'a@example.com' }] };
+    const comparator = new JSONCompare({
+      sequenceDiff: true,
+      regexChecks: { 'users[0].email': /@/, 'users[1].email': /@/ }
+    });
+
+    expect(comparator.compareAndValidate(obj1, obj1).regexChecks.failed).toEqual([
+      expect.objectContaining({ path: 'users[0].email', value: 'bad' })
+    ]);
+
+    const inserted = { users: [{ email: 'new@example.com' }, { email: 'bad' }, { email: 'wrong' }] };
+    expect(comparator.compareAndValidate(obj1, inserted).regexChecks.failed).toEqual([
+      expect.objectContaining({ path: 'users[0].email', actualPath: 'users[1].email', value: 'bad' }),
+      expect.objectContaining({ path: 'users[1].email', actualPath: 'users[2].email', value: 'wrong' })
+    ]);
+  });
+
+  // Test 13: Ignored keys and paths are left out when pairing elements directly
+  test('Should pair large reordered arrays that differ only in ignored keys', () => {
+    const list1 = Array.from({ length: 3000 }, (item, i) => ({ id: i, updatedAt: i, meta: { seen: i } }));
+    const list2 = list1.map(item => ({ ...item, updatedAt: 0, meta: { seen: 0 } })).reverse();
+    list2[10] = { id: 'other', updatedAt: 0, meta: { seen: 0 } };
+
+    const result = new JSONCompare({
+      unorderedArrays: true,
+      ignoredKeys: ['updatedAt'],
+      ignoredPaths: ['list[*].meta.seen']
+    }).compare({ list: list1 }, { list: list2 });
+
+    expect(result.unmatched.values.map(({ path, change }) => ({ path, change }))).toEqual([
+      { path: 'list[2989]', change: 'removed' },
+      { path: 'list[10]', change: 'added' }
+    ]);
+
+    // A pattern naming one index is checked element by element
+    const byIndex = new JSONCompare({ unorderedArrays: true, ignoredPaths: ['list[0].at'] })
+      .compare({ list: [{ v: 1, at: 1 }, { v: 2, at: 2 }] }, { list: [{ v: 2, at: 2 }, { v: 1, at: 3 }] });
+    expect(byIndex.unmatched.values).toHaveLength(0);
+  });
+});
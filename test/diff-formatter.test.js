@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Unit tests for the text diff formatter in JSONCompare
+ */
+
+const JSONCompare = require('../index');
+const { formatDiff } = require('../index');
+
+describe('Diff Formatter Tests', () => {
+  // Test 1: Unified diff with -/+ lines and collapsed unchanged regions
+  test('Should render changed lines with context and hunk headers', () => {
+    const obj1 = { a: 1, b: 2, c: 3, d: 4, e: 5, f: 6, g: 7 };
+    const obj2 = { a: 1, b: 2, c: 3, d: 40, e: 5, f: 6, g: 7 };
+    const result = new JSONCompare().compare(obj1, obj2);
+
+    const output = formatDiff(obj1, obj2, result, { color: false, context: 1 });
+
+    expect(output.split('\n')).toEqual([
+      '--- object 1',
+      '+++ object 2',
+      '@@ -4,3 +4,3 @@',
+      '   "c": 3,',
+      '-  "d": 4,',
+      '+  "d": 40,',
+      '   "e": 5,'
+    ]);
+    expect(formatDiff(obj1, obj1, undefined, { color: false })).toBe('');
+  });
+
+  // Test 2: Markers for type mismatches and failed regex checks
+  test('Should mark type mismatches and failed regex checks', () => {
+    const obj1 = { id: 1, email: 'a@example.com', tags: 'x' };
+    const obj2 = { id: '1', email: 'not-an-email', tags: ['x'] };
+    const comparator = new JSONCompare({ regexChecks: { email: /^[^@]+@[^@]+$/ } });
+    const result = comparator.compareAndValidate(obj1, obj2);
+
+    const lines = formatDiff(obj1, obj2, result, { color: false }).split('\n');
+
+    expect(lines).toContain('+  "id": "1", [type mismatch: expected number, got string]');
+    expect(lines).toContain('+  "email": "not-an-email", [regex failed: /^[^@]+@[^@]+$/]');
+    expect(lines).toContain('+  "tags": [ [type mismatch: expected string, got array]');
+    expect(lines.filter(line => line.includes('[type mismatch')).length).toBe(2);
+  });
+
+  // Test 3: Side-by-side columns with collapsed unchanged lines
+  test('Should render documents side by side', () => {
+    const obj1 = { a: 1, b: 2, c: 3, d: 4, e: 5, removed: true };
+    const obj2 = { a: 1, b: 2, c: 3, d: 4, e: 50 };
+
+    const output = formatDiff(obj1, obj2, undefined, {
+      mode: 'sideBySide',
+      color: false,
+      context: 1,
+      width: 43,
+      labels: ['before', 'after']
+    });
+
+    expect(output.split('\n')).toEqual([
+      'before                 after',
+      '⋯ 4 unchanged lines ⋯',
+      '  "d": 4,                "d": 4,',
+      '  "e": 5,            |   "e": 50',
+      '  "removed": true    <',
+      '}                      }'
+    ]);
+  });
+
+  // Test 4: Colours are used only when enabled
+  test('Should colour output only when colours are enabled', () => {
+    const obj1 = { name: 'old' };
+    const obj2 = { name: 'new' };
+
+    const coloured = formatDiff(obj1, obj2, undefined, { color: true });
+    expect(coloured).toContain('\u001b[31m-  "name": "old"\u001b[0m');
+    expect(coloured).toContain('\u001b[32m+  "name": "new"\u001b[0m');
+    expect(coloured).toContain('\u001b[36m@@ -1,3 +1,3 @@\u001b[0m');
+
+    const plain = formatDiff(obj1, obj2, undefined, { color: false });
+    expect(plain).not.toContain('\u001b[');
+
+    // Jest does not run tests on a TTY, so colours are off by default
+    expect(formatDiff(obj1, obj2)).toBe(plain);
+  });
+});
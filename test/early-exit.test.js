@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Unit tests for early-exit comparisons in JSONCompare
+ */
+
+const JSONCompare = require('../index');
+
+describe('Early Exit Tests', () => {
+  const obj1 = { a: 1, b: 2, c: 3, nested: { d: 4 } };
+  const obj2 = { a: 9, b: 9, c: 9, nested: { d: 9 } };
+
+  // Test 1: Boolean equality
+  test('Should return a boolean from isEqual', () => {
+    const comparator = new JSONCompare();
+
+    expect(comparator.isEqual(obj1, { ...obj1, nested: { d: 4 } })).toBe(true);
+    expect(comparator.isEqual(obj1, obj2)).toBe(false);
+    expect(comparator.isEqual([1, 2], [1, 2])).toBe(true);
+    expect(comparator.isEqual('a', 'b')).toBe(false);
+  });
+
+  // Test 2: isEqual honours the configured options
+  test('Should honour options in isEqual', () => {
+    const comparator = new JSONCompare({
+      ignoredKeys: ['updatedAt'],
+      strictTypes: false
+    });
+
+    expect(comparator.isEqual({ id: 1, updatedAt: 1 }, { id: '1', updatedAt: 2 })).toBe(true);
+    expect(new JSONCompare().isEqual({ id: 1 }, { id: '1' })).toBe(false);
+  });
+
+  // Test 3: isEqual stops at the first difference
+  test('Should stop traversal at the first difference', () => {
+    let calls = 0;
+    const comparator = new JSONCompare({
+      comparators: { '*': () => { calls++; return false; } }
+    });
+
+    expect(comparator.isEqual(obj1, obj2)).toBe(false);
+    expect(calls).toBe(1);
+  });
+
+  // Test 4: maxDifferences truncates compare results
+  test('Should stop compare after maxDifferences and mark the result truncated', () => {
+    const comparator = new JSONCompare({ maxDifferences: 2 });
+    const result = comparator.compare(obj1, obj2);
+
+    expect(result.unmatched.values).toHaveLength(2);
+    expect(result.summary.truncated).toBe(true);
+
+    const full = new JSONCompare().compare(obj1, obj2);
+    expect(full.unmatched.values).toHaveLength(4);
+    expect(full.summary.truncated).toBe(false);
+  });
+
+  // Test 5: The limit itself is not a truncation, and 0 records nothing
+  test('Should only truncate when a difference beyond maxDifferences is found', () => {
+    const exact = new JSONCompare({ maxDifferences: 4 }).compare(obj1, obj2);
+    expect(exact.unmatched.values).toHaveLength(4);
+    expect(exact.summary.truncated).toBe(false);
+
+    const none = new JSONCompare({ maxDifferences: 0 }).compare(obj1, obj2);
+    expect(none.unmatched.values).toHaveLength(0);
+    expect(none.summary.truncated).toBe(true);
+
+    const equal = new JSONCompare({ maxDifferences: 0 }).compare(obj1, { ...obj1 });
+    expect(equal.summary.truncated).toBe(false);
+  });
+});
@@ -0,0 +1,240 @@
+/**
+ * @fileoverview Unit tests for JSON Patch output in JSONCompare
+ */
+
+const JSONCompare = require('../index');
+const { toJSONPatch, applyDiff, revertDiff, DiffVerificationError } = require('../index');
+
+/**
+ * Apply JSON Patch operations to a copy of a document
+ * @param {*} doc - Document to patch
+ * @param {Object[]} operations - JSON Patch operations
+ * @returns {*} Patched document
+ */
+function applyPatch(doc, operations) {
+  let root = JSON.parse(JSON.stringify(doc));
+  for (const { op, path, value } of operations) {
+    if (path === '') {
+      root = value;
+      continue;
+    }
+    const tokens = path.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+    const last = tokens.pop();
+    const parent = tokens.reduce((node, token) => node[token], root);
+    if (Array.isArray(parent)) {
+      const index = Number(last);
+      if (op === 'add') parent.splice(index, 0, value);
+      if (op === 'remove') parent.splice(index, 1);
+      if (op === 'replace') parent[index] = value;
+    } else if (op === 'remove') {
+      delete parent[last];
+    } else {
+      parent[last] = value;
+    }
+  }
+  return root;
+}
+
+describe('JSON Patch Tests', () => {
+  // Test 1: Key and value differences become add, remove and replace operations
+  test('Should convert key and value differences into operations', () => {
+    const obj1 = { name: 'Alice', age: 30, address: { city: 'Paris' } };
+    const obj2 = { age: 31, address: { city: 'Paris', zip: '75001' }, active: true };
+
+    const patch = toJSONPatch(new JSONCompare().compare(obj1, obj2));
+
+    expect(patch).toEqual([
+      { op: 'remove', path: '/name' },
+      { op: 'add', path: '/address/zip', value: '75001' },
+      { op: 'add', path: '/active', value: true },
+      { op: 'replace', path: '/age', value: 31 }
+    ]);
+    expect(applyPatch(obj1, patch)).toEqual(obj2);
+  });
+
+  // Test 2: Keys are escaped as RFC 6901 reference tokens
+  test('Should escape ~ and / in pointers', () => {
+    const patch = toJSONPatch(new JSONCompare().compare(
+      { 'a/b': 1, 'm~n': { x: 1 } },
+      { 'a/b': 2, 'm~n': { x: 'one' } }
+    ));
+
+    expect(patch).toEqual([
+      { op: 'replace', path: '/m~0n/x', value: 'one' },
+      { op: 'replace', path: '/a~1b', value: 2 }
+    ]);
+  });
+
+  // Test 3: Array element changes keep indices valid in order
+  test('Should order array operations so each index is valid when applied', () => {
+    const obj1 = { lists: [{ items: [1, 2, 3, 4] }, { items: ['a'] }], tail: [1, 2, 3] };
+    const obj2 = { lists: [{ items: [1, 5, 3] }, { items: ['a', 'b'] }], tail: [1] };
+
+    for (const options of [{}, { sequenceDiff: true }]) {
+      const patch = toJSONPatch(new JSONCompare(options).compare(obj1, obj2));
+      expect(applyPatch(obj1, patch)).toEqual(obj2);
+    }
+
+    const sequencePatch = toJSONPatch(new JSONCompare({ sequenceDiff: ['tail'] }).compare(obj1, obj2));
+    expect(sequencePatch.filter(operation => operation.path.startsWith('/tail'))).toEqual([
+      { op: 'remove', path: '/tail/2' },
+      { op: 'remove', path: '/tail/1' }
+    ]);
+  });
+
+  // Test 4: Identity-keyed arrays and type changes
+  test('Should patch identity-keyed arrays and type mismatches', () => {
+    const obj1 = { users: [{ id: 1, name: 'Ann' }, { id: 2, name: 'Bob' }], count: '2' };
+    const obj2 = { users: [{ id: 3, name: 'Cy' }, { id: 2, name: 'Robert' }], count: 2 };
+
+    const patch = toJSONPatch(new JSONCompare({ arrayKeys: { users: 'id' } }).compare(obj1, obj2));
+
+    expect(patch).toEqual([
+      { op: 'replace', path: '/count', value: 2 },
+      { op: 'replace', path: '/users/1/name', value: 'Robert' },
+      { op: 'remove', path: '/users/0' },
+      { op: 'add', path: '/users/0', value: { id: 3, name: 'Cy' } }
+    ]);
+    expect(applyPatch(obj1, patch)).toEqual(obj2);
+    expect(toJSONPatch(new JSONCompare().compare(obj1, obj1))).toEqual([]);
+  });
+
+  // Test 5: A stored diff reproduces the second document and back
+  test('Should apply and revert a diff between two documents', () => {
+    const baseline = {
+      service: { name: 'api', replicas: 2, ports: [80, 443], env: { LOG: 'info' } },
+      features: ['a', 'b', 'c']
+    };
+    const production = {
+      service: { name: 'api', replicas: 6, ports: [443], env: { LOG: 'warn', TZ: 'UTC' } },
+      features: ['a', 'c', 'd'],
+      region: 'eu'
+    };
+
+    for (const options of [{}, { sequenceDiff: true }]) {
+      const diff = new JSONCompare(options).compare(baseline, production);
+      expect(applyDiff(baseline, diff)).toEqual(production);
+      expect(revertDiff(production, diff)).toEqual(baseline);
+    }
+    expect(baseline.service.replicas).toBe(2);
+  });
+
+  // Test 6: Identity-keyed arrays revert through the second document's indices
+  test('Should revert differences inside elements paired at other indices', () => {
+    const obj1 = { users: [{ id: 1, role: 'admin' }, { id: 2, role: 'user' }] };
+    const obj2 = { users: [{ id: 2, role: 'owner' }, { id: 3, role: 'user' }] };
+
+    const diff = new JSONCompare({ arrayKeys: { users: 'id' } }).compare(obj1, obj2);
+
+    expect(diff.unmatched.values.find(item => item.path === 'users[1].role').actualPath).toBe('users[0].role');
+    expect(revertDiff(obj2, diff).users).toEqual(expect.arrayContaining(obj1.users));
+    expect(applyDiff(obj1, diff).users).toEqual(expect.arrayContaining(obj2.users));
+  });
+
+  // Test 7: Targets that drifted from the diff fail loudly
+  test('Should throw when the target no longer matches the diff', () => {
+    const diff = new JSONCompare().compare({ a: 1, b: { c: 2 } }, { a: 2, d: true });
+
+    expect(() => applyDiff({ a: 5, b: { c: 2 } }, diff)).toThrow(DiffVerificationError);
+    expect(() => applyDiff({ a: 1, b: { c: 3 } }, diff)).toThrow('Value does not match the diff at "/b"');
+    expect(() => applyDiff({ a: 1, b: { c: 2 }, d: false }, diff)).toThrow('Expected no value at "/d"');
+    expect(() => revertDiff({ a: 2 }, diff)).toThrow('Path not found at "/d"');
+
+    let error;
+    try {
+      applyDiff({ a: 5, b: { c: 2 } }, diff);
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toMatchObject({ path: '/a', expected: 1, actual: 5 });
+  });
+
+  // Test 8: Truncated diffs and __proto__ keys
+  test('Should reject truncated diffs and add __proto__ keys as own properties', () => {
+    const truncated = new JSONCompare({ maxDifferences: 1 }).compare({ a: 1, b: 1 }, { a: 2, b: 2 });
+    expect(() => applyDiff({ a: 1, b: 1 }, truncated)).toThrow('truncated');
+
+    const obj2 = JSON.parse('{"__proto__": {"isAdmin": true}}');
+    const patched = applyDiff({}, new JSONCompare().compare({}, obj2));
+    expect(Object.getPrototypeOf(patched)).toBe(Object.prototype);
+    expect(patched.isAdmin).toBeUndefined();
+    expect(Object.keys(patched)).toEqual(['__proto__']);
+  });
+
+  // Test 9: Map and Set entries have no pointer and are not applied
+  test('Should leave out Map and Set entries and refuse to apply them', () => {
+    const obj1 = { m: new Map([[1, 'x'], ['k', 'x']]), s: new Set([1, 2]) };
+    const obj2 = { m: new Map([[1, 'y'], ['k', 'y']]), s: new Set([1, 3]) };
+    const diff = new JSONCompare().compare(obj1, obj2);
+
+    expect(diff.unmatched.values.filter(entry => 'pointer' in entry)).toEqual([]);
+    expect(toJSONPatch(diff)).toEqual([]);
+    expect(() => applyDiff(obj1, diff)).toThrow('cannot express');
+    expect(() => revertDiff(obj2, diff)).toThrow('cannot express');
+  });
+
+  // Test 10: Changing between an object and an array replaces the value
+  test('Should replace a value changed between an object and an array', () => {
+    const obj1 = { a: { x: 1 } };
+    const obj2 = { a: [1] };
+    const diff = new JSONCompare().compare(obj1, obj2);
+
+    expect(toJSONPatch(diff)).toEqual([{ op: 'replace', path: '/a', value: [1] }]);
+    expect(applyDiff(obj1, diff)).toEqual(obj2);
+    expect(revertDiff(obj2, diff)).toEqual(obj1);
+    expect(new JSONCompare().isEqual([1], { 0: 1 })).toBe(false);
+  });
+
+  // Test 11: Class instances are copied with their prototype, leaving the input unchanged
+  test('Should copy class instances instead of patching the input', () => {
+    class Order {
+      constructor(qty) {
+        this.qty = qty;
+      }
+
+      total() {
+        return this.qty * 2;
+      }
+    }
+    const instance = new Order(1);
+
+    const patched = applyDiff({ o: instance }, new JSONCompare().compare({ o: new Order(1) }, { o: new Order(2) }));
+
+    expect(instance.qty).toBe(1);
+    expect(patched.o).not.toBe(instance);
+    expect(patched.o).toBeInstanceOf(Order);
+    expect(patched.o.total()).toBe(4);
+  });
+
+  // Test 12: Diffs made with lossy options are refused; keys with dots and brackets apply
+  test('Should refuse lossy diffs and patch keys containing dots and brackets', () => {
+    const renamed = new JSONCompare({ keyMap: { old: 'neu' } }).compare({ old: 1 }, { neu: 2 });
+    expect(renamed.summary.lossyOptions).toEqual(['keyMap']);
+    expect(() => applyDiff({ old: 1 }, renamed)).toThrow('treat different values as equal: keyMap');
+
+    const tolerant = new JSONCompare({ numericTolerance: 1, ignoredKeys: ['id'] }).compare({ a: 1 }, { a: 1.5 });
+    expect(() => revertDiff({ a: 1.5 }, tolerant)).toThrow('ignoredKeys, numericTolerance');
+
+    const obj1 = { 'a.b': 1, 'x[0]': { y: 1 } };
+    const obj2 = { 'a.b': 2, 'x[0]': { y: 2 } };
+    const diff = new JSONCompare().compare(obj1, obj2);
+    expect(diff.summary.lossyOptions).toEqual([]);
+    expect(applyDiff(obj1, diff)).toEqual(obj2);
+    expect(revertDiff(obj2, diff)).toEqual(obj1);
+  });
+
+  // Test 13: Pointers follow the visited keys but stay out of the printed result
+  test('Should keep pointers off the enumerable entry fields', () => {
+    const obj1 = { 'a.b': { c: 1 }, a: { b: { c: 1 } }, list: [{ id: 1, v: 1 }, { id: 2, v: 1 }] };
+    const obj2 = { 'a.b': { c: 2 }, a: { b: { c: 3 } }, list: [{ id: 2, v: 2 }, { id: 1, v: 1 }] };
+    const diff = new JSONCompare({ arrayKeys: { list: 'id' } }).compare(obj1, obj2);
+
+    expect(diff.unmatched.values.map(entry => entry.pointer)).toEqual(['/a.b/c', '/a/b/c', '/list/1/v']);
+    expect(diff.unmatched.values[2].actualPointer).toBe('/list/0/v');
+    expect(JSON.stringify(diff)).not.toContain('ointer');
+
+    // arrayKeys leaves element order out of the diff
+    expect(applyDiff(obj1, diff)).toEqual({ ...obj2, list: [{ id: 1, v: 1 }, { id: 2, v: 2 }] });
+    expect(revertDiff(obj2, diff)).toEqual({ ...obj1, list: [{ id: 2, v: 1 }, { id: 1, v: 1 }] });
+  });
+});
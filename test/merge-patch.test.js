@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Unit tests for JSON Merge Patch output in JSONCompare
+ */
+
+const JSONCompare = require('../index');
+const { toMergePatch } = require('../index');
+
+/**
+ * Apply a merge patch as defined by RFC 7386
+ * @param {*} target - Document to patch
+ * @param {*} patch - Merge patch
+ * @returns {*} Patched document
+ */
+function mergePatch(target, patch) {
+  if (patch === null || typeof patch !== 'object' || Array.isArray(patch)) {
+    return patch;
+  }
+  const result = target !== null && typeof target === 'object' && !Array.isArray(target) ? { ...target } : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = mergePatch(result[key], value);
+    }
+  }
+  return result;
+}
+
+describe('JSON Merge Patch Tests', () => {
+  // Test 1: Minimal patch with null for removed keys
+  test('Should produce the minimal merge patch between two objects', () => {
+    const obj1 = { title: 'Hello', author: { name: 'Ann', email: 'a@x.io' }, tags: ['a'], draft: true };
+    const obj2 = { title: 'Hello!', author: { name: 'Ann' }, tags: ['a'], phone: '555' };
+
+    const { patch, warnings } = toMergePatch(new JSONCompare().compare(obj1, obj2));
+
+    expect(patch).toEqual({ title: 'Hello!', author: { email: null }, draft: null, phone: '555' });
+    expect(warnings).toEqual([]);
+    expect(mergePatch(obj1, patch)).toEqual(obj2);
+  });
+
+  // Test 2: Objects replacing other values and whole arrays
+  test('Should patch type changes and whole-array replacements', () => {
+    const obj1 = { config: 'default', items: 'none', nested: { a: { b: 1, c: 2 } } };
+    const obj2 = { config: { mode: 'fast' }, items: [1, 2], nested: { a: { b: 1, d: 3 } } };
+
+    const { patch, warnings } = toMergePatch(new JSONCompare({ maxDepth: 1 }).compare(obj1, obj2));
+
+    expect(patch).toEqual({ config: { mode: 'fast' }, items: [1, 2], nested: { a: { c: null, d: 3 } } });
+    expect(warnings).toEqual([]);
+    expect(mergePatch(obj1, patch)).toEqual(obj2);
+  });
+
+  // Test 3: New null values cannot be told apart from removals
+  test('Should warn about new values that are or contain null', () => {
+    const { patch, warnings } = toMergePatch(new JSONCompare().compare(
+      { a: 1, b: 1 },
+      { a: null, b: 2, c: { d: null } }
+    ));
+
+    expect(patch).toEqual({ b: 2 });
+    expect(warnings).toEqual([
+      { path: 'c', message: 'New value is or contains null, which a merge patch treats as a removal' },
+      { path: 'a', message: 'New value is or contains null, which a merge patch treats as a removal' }
+    ]);
+  });
+
+  // Test 4: Partial array changes are reported once per outermost array
+  test('Should warn once about partial array changes', () => {
+    const { patch, warnings } = toMergePatch(new JSONCompare().compare(
+      { list: [{ id: 1, qty: 1 }, { id: 2, qty: 1 }], name: 'x' },
+      { list: [{ id: 1, qty: 2 }, { id: 2, qty: 3 }, { id: 3 }], name: 'y' }
+    ));
+
+    expect(patch).toEqual({ name: 'y' });
+    expect(warnings).toEqual([
+      { path: 'list', message: 'Array changed partially; a merge patch can only replace whole arrays' }
+    ]);
+  });
+
+  // Test 5: Map and Set entries are reported instead of patched as object members
+  test('Should warn about Map and Set entries and keep keys with dots', () => {
+    const { patch, warnings } = toMergePatch(new JSONCompare().compare(
+      { m: new Map([[1, 'x'], ['k', 'x']]), s: new Set([1]), 'a.b': 1 },
+      { m: new Map([[1, 'y'], ['k', 'y']]), s: new Set([2]), 'a.b': 2 }
+    ));
+
+    expect(patch).toEqual({ 'a.b': 2 });
+    expect(warnings.map(warning => warning.path)).toEqual(['m[1]', 'm.k', 's[0]', 's[0]']);
+    expect(new Set(warnings.map(warning => warning.message))).toEqual(new Set([
+      'Map and Set entries and symbol keys cannot be expressed by a merge patch'
+    ]));
+  });
+
+  // Test 6: Circular values do not overflow the stack
+  test('Should check circular values for null members', () => {
+    const added = { note: null };
+    added.self = added;
+
+    const { patch, warnings } = toMergePatch(new JSONCompare().compare({}, { c: added }));
+
+    expect(patch).toEqual({});
+    expect(warnings).toEqual([
+      { path: 'c', message: 'New value is or contains null, which a merge patch treats as a removal' }
+    ]);
+  });
+
+  // Test 7: Roots that are not plain objects are replaced as a whole
+  test('Should use the second root as the patch for array and primitive roots', () => {
+    const compare = (obj1, obj2) => new JSONCompare().compare(obj1, obj2);
+
+    expect(toMergePatch(compare([1, 2], [1, 3]), [1, 3])).toEqual({ patch: [1, 3], warnings: [] });
+    expect(toMergePatch(compare([1], [1]), [1])).toEqual({ patch: [1], warnings: [] });
+    expect(toMergePatch(compare({ a: 1 }, [1]))).toEqual({ patch: [1], warnings: [] });
+    expect(toMergePatch(compare(1, 2))).toEqual({ patch: 2, warnings: [] });
+    expect(toMergePatch(compare('a', 'a'))).toEqual({ patch: 'a', warnings: [] });
+    expect(toMergePatch(compare({ a: 1 }, null))).toEqual({ patch: null, warnings: [] });
+    expect(mergePatch([1, 2], toMergePatch(compare([1, 2], [1, 3]), [1, 3]).patch)).toEqual([1, 3]);
+  });
+
+  // Test 8: Array roots cannot be rebuilt from the result alone
+  test('Should require the second object for array roots', () => {
+    expect(() => toMergePatch(new JSONCompare().compare([1, 2], [1, 3])))
+      .toThrow('Cannot build a merge patch for an array root without the second object');
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Unit tests for three-way merge in JSONCompare
+ */
+
+const JSONCompare = require('../index');
+
+describe('Three-Way Merge Tests', () => {
+  const base = {
+    name: 'service',
+    replicas: 2,
+    env: { LOG: 'info', TZ: 'UTC' },
+    ports: [80]
+  };
+
+  // Test 1: Non-overlapping changes are applied from both sides
+  test('Should apply changes made on different keys', () => {
+    const ours = { ...base, replicas: 4, env: { LOG: 'debug', TZ: 'UTC' } };
+    const theirs = { ...base, env: { LOG: 'info' }, ports: [80, 443], owner: 'ops' };
+
+    const { merged, conflicts } = new JSONCompare().merge(base, ours, theirs);
+
+    expect(conflicts).toEqual([]);
+    expect(merged).toEqual({
+      name: 'service',
+      replicas: 4,
+      env: { LOG: 'debug' },
+      ports: [80, 443],
+      owner: 'ops'
+    });
+  });
+
+  // Test 2: Overlapping changes are reported with the three competing values
+  test('Should report conflicting changes and keep our value', () => {
+    const ours = { ...base, replicas: 3, env: { LOG: 'info' } };
+    const theirs = { ...base, replicas: 5, env: { LOG: 'warn', TZ: 'CET' } };
+
+    const { merged, conflicts } = new JSONCompare().merge(base, ours, theirs);
+
+    expect(conflicts).toEqual([
+      { path: 'replicas', base: 2, ours: 3, theirs: 5, message: 'Both sides changed the value' },
+      { path: 'env.TZ', base: 'UTC', ours: undefined, theirs: 'CET', message: 'We deleted the value and they changed it' }
+    ]);
+    expect(merged).toEqual({ ...base, replicas: 3, env: { LOG: 'warn' } });
+  });
+
+  // Test 3: Array elements are merged by identity key
+  test('Should merge array elements paired by arrayKeys', () => {
+    const users = {
+      users: [{ id: 1, name: 'Ann', role: 'user' }, { id: 2, name: 'Bob', role: 'user' }]
+    };
+    const ours = {
+      users: [{ id: 2, name: 'Bob', role: 'admin' }, { id: 1, name: 'Ann', role: 'user' }, { id: 3, name: 'Cy' }]
+    };
+    const theirs = {
+      users: [{ id: 1, name: 'Anne', role: 'user' }, { id: 4, name: 'Di' }]
+    };
+
+    const comparator = new JSONCompare({ arrayKeys: { users: 'id' } });
+    const { merged, conflicts } = comparator.merge(users, ours, theirs);
+
+    expect(conflicts).toEqual([expect.objectContaining({
+      path: 'users[1]',
+      ours: { id: 2, name: 'Bob', role: 'admin' },
+      theirs: undefined
+    })]);
+    expect(merged.users).toEqual([
+      { id: 2, name: 'Bob', role: 'admin' },
+      { id: 1, name: 'Anne', role: 'user' },
+      { id: 3, name: 'Cy' },
+      { id: 4, name: 'Di' }
+    ]);
+
+    const byIndex = new JSONCompare().merge(users, ours, theirs);
+    expect(byIndex.conflicts.map(conflict => conflict.path)).toEqual(['users']);
+  });
+
+  // Test 4: Ignored keys never conflict
+  test('Should not report conflicts on ignored keys', () => {
+    const comparator = new JSONCompare({ ignoredKeys: ['updatedAt'], ignoredPaths: ['meta.*'] });
+    const { merged, conflicts } = comparator.merge(
+      { a: 1, updatedAt: 1, meta: { rev: 1 } },
+      { a: 2, updatedAt: 2, meta: { rev: 2 } },
+      { a: 1, updatedAt: 3, meta: { rev: 3 }, b: true }
+    );
+
+    expect(conflicts).toEqual([]);
+    expect(merged).toEqual({ a: 2, updatedAt: 2, meta: { rev: 2 }, b: true });
+  });
+
+  // Test 5: Circular references are reported instead of merged
+  test('Should report a conflict when both sides change a circular value', () => {
+    const ours = { v: 1 };
+    ours.self = ours;
+    const theirs = { v: 2 };
+    theirs.self = theirs;
+
+    const { merged, conflicts } = new JSONCompare().merge({}, { c: ours }, { c: theirs });
+
+    expect(conflicts.map(({ path, message }) => ({ path, message }))).toEqual([
+      { path: 'c.v', message: 'Both sides added different values' },
+      { path: 'c.self', message: 'Circular reference to c cannot be merged' }
+    ]);
+    expect(merged.c.v).toBe(1);
+    expect(merged.c.self).toBe(ours);
+  });
+
+  // Test 6: Our ignored values survive when only they changed on our side
+  test('Should keep our ignored values when taking their changes', () => {
+    const comparator = new JSONCompare({ ignoredKeys: ['t'] });
+
+    expect(comparator.merge({ a: 1, t: 0 }, { a: 1, t: 1 }, { a: 2, t: 2 })).toEqual({
+      merged: { a: 2, t: 1 },
+      conflicts: []
+    });
+    expect(comparator.merge({ n: { a: 1, t: 0 } }, { n: { a: 1, t: 1 } }, { n: { a: 2, t: 2 } }).merged)
+      .toEqual({ n: { a: 2, t: 1 } });
+  });
+});
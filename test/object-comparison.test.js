@@ -0,0 +1,338 @@
+/**
+ * @fileoverview Unit tests for object comparison edge cases in JSONCompare
+ */
+
+const JSONCompare = require('../index');
+
+describe('Object Comparison Tests', () => {
+  const createTree = (name) => {
+    const root = { name, children: [] };
+    const child = { name: 'child', parent: root };
+    root.children.push(child);
+    root.self = root;
+    return root;
+  };
+
+  // Test 1: Matching cycles are compared structurally
+  test('Should match circular references pointing to the same path', () => {
+    const comparator = new JSONCompare();
+    const result = comparator.compare(createTree('root'), createTree('root'));
+
+    expect(result.summary.matchPercentage).toBe(100);
+    const circular = result.matched.values.filter(item => item.circular);
+    expect(circular.map(item => item.path)).toEqual(['children[0].parent', 'self']);
+    expect(circular[0].value).toBe('[Circular → (root)]');
+  });
+
+  // Test 2: Cycles pointing to different targets are reported
+  test('Should report circular references with different targets', () => {
+    const tree1 = createTree('root');
+    const tree2 = createTree('root');
+    tree2.children[0].parent = tree2.children[0];
+
+    const comparator = new JSONCompare();
+    const result = comparator.compare(tree1, tree2);
+
+    expect(result.unmatched.values).toHaveLength(1);
+    expect(result.unmatched.values[0]).toMatchObject({
+      path: 'children[0].parent',
+      expected: '[Circular → (root)]',
+      actual: '[Circular → children[0]]',
+      circular: true
+    });
+  });
+
+  // Test 3: A cycle on one side only does not recurse forever
+  test('Should report a cycle that exists on one side only', () => {
+    const obj1 = { a: { back: { a: { back: null } } } };
+    const obj2 = { a: {} };
+    obj2.a.back = obj2;
+
+    const comparator = new JSONCompare({ matchKeysByName: true, regexChecks: { name: /x/ } });
+    const result = comparator.compareAndValidate(obj1, obj2);
+
+    expect(result.unmatched.values[0]).toMatchObject({ path: 'a.back', circular: true });
+  });
+
+  // Test 4: Maps are compared entry by entry
+  test('Should compare Map entries by key, including non-string keys', () => {
+    const comparator = new JSONCompare();
+    const result = comparator.compare(
+      { lookup: new Map([['a', 1], [42, { x: 1 }]]) },
+      { lookup: new Map([['a', 1], [42, { x: 2 }], [true, 'extra']]) }
+    );
+
+    expect(result.matched.keys).toEqual(expect.arrayContaining(['lookup.a', 'lookup[42]']));
+    expect(result.unmatched.values).toHaveLength(1);
+    expect(result.unmatched.values[0]).toMatchObject({ path: 'lookup[42].x', expected: 1, actual: 2 });
+    expect(result.unmatched.keys).toEqual([{
+      path: 'lookup[true]',
+      value: 'extra',
+      change: 'added',
+      message: 'Map key exists in map 2 but not in map 1'
+    }]);
+  });
+
+  // Test 5: Completely different Maps are no longer reported as identical
+  test('Should not treat different Maps as equal', () => {
+    const comparator = new JSONCompare();
+    const result = comparator.compare(new Map([['a', 1]]), new Map([['b', 2]]));
+
+    expect(result.summary.matchPercentage).toBe(0);
+    expect(result.unmatched.keys.map(item => item.message)).toEqual([
+      'Map key exists in map 1 but not in map 2',
+      'Map key exists in map 2 but not in map 1'
+    ]);
+  });
+
+  // Test 6: Sets are compared as unordered collections
+  test('Should compare Sets regardless of insertion order', () => {
+    const comparator = new JSONCompare();
+    const result = comparator.compare(
+      { tags: new Set(['a', { id: 1 }, 'c']) },
+      { tags: new Set([{ id: 1 }, 'c', 'd']) }
+    );
+
+    expect(result.unmatched.values.map(({ expected, actual, message }) => ({ expected, actual, message }))).toEqual([
+      { expected: 'a', actual: undefined, message: 'Set element exists in set 1 but not in set 2' },
+      { expected: undefined, actual: 'd', message: 'Set element exists in set 2 but not in set 1' }
+    ]);
+  });
+
+  // Test 7: Undefined values match missing keys after a JSON round-trip
+  test('Should treat undefined as missing with undefinedEqualsMissing', () => {
+    const original = { a: 1, b: undefined, nested: { c: undefined, d: null } };
+    const roundTrip = JSON.parse(JSON.stringify(original));
+
+    const strict = new JSONCompare().compare(original, roundTrip);
+    expect(strict.unmatched.keys.map(item => item.path)).toEqual(['b', 'nested.c']);
+
+    const comparator = new JSONCompare({ missingKeyPolicy: 'undefinedEqualsMissing' });
+    const result = comparator.compare(original, roundTrip);
+    expect(result.summary.matchPercentage).toBe(100);
+    expect(result.matched.values).toContainEqual({
+      path: 'b',
+      value: undefined,
+      missingKeyPolicy: 'undefinedEqualsMissing',
+      message: 'Key missing in object 2 treated as undefined by missingKeyPolicy "undefinedEqualsMissing"'
+    });
+  });
+
+  // Test 8: Null values match missing keys in both directions
+  test('Should treat null as missing in both directions with nullEqualsMissing', () => {
+    const comparator = new JSONCompare({ missingKeyPolicy: 'nullEqualsMissing' });
+    const result = comparator.compare({ a: null, b: 1 }, { b: 1, c: null, d: 0 });
+
+    expect(result.unmatched.keys.map(item => item.path)).toEqual(['d']);
+    expect(result.matched.values.map(item => item.path)).toEqual(['a', 'b', 'c']);
+  });
+
+  // Test 9: snake_case keys pair with camelCase keys
+  test('Should pair keys across naming conventions with keyNormalizer', () => {
+    const legacy = { user_id: 1, display_name: 'Ann', home_address: { zip_code: '1' } };
+    const modern = { userId: 1, displayName: 'Anne', homeAddress: { zipCode: '1' } };
+
+    const comparator = new JSONCompare({ keyNormalizer: 'snakeCamelKebab' });
+    const result = comparator.compare(legacy, modern);
+
+    expect(result.unmatched.keys).toHaveLength(0);
+    expect(result.matched.keys).toEqual(['user_id', 'display_name', 'home_address', 'home_address.zip_code']);
+    expect(result.unmatched.values).toEqual([expect.objectContaining({
+      path: 'display_name',
+      actualPath: 'displayName',
+      expected: 'Ann',
+      actual: 'Anne'
+    })]);
+    expect(result.matched.values.find(item => item.path === 'home_address.zip_code').actualPath)
+      .toBe('homeAddress.zipCode');
+  });
+
+  // Test 10: Exact key names take precedence over normalised ones
+  test('Should prefer exact key matches over normalised ones', () => {
+    const comparator = new JSONCompare({ keyNormalizer: 'caseInsensitive' });
+    const result = comparator.compare({ ID: 1, id: 2 }, { id: 2, Id: 1 });
+
+    expect(result.summary.matchPercentage).toBe(100);
+    expect(result.matched.values.map(item => item.actualPath)).toEqual(['Id', undefined]);
+  });
+
+  // Test 11: Custom key normaliser
+  test('Should accept a custom key normaliser function', () => {
+    const comparator = new JSONCompare({ keyNormalizer: key => key.replace(/^x-/, '') });
+    const result = comparator.compare({ 'x-trace': 'a' }, { trace: 'a', extra: 1 });
+
+    expect(result.unmatched.keys.map(item => item.path)).toEqual(['extra']);
+  });
+
+  // Test 12: Moved fields are compared as one pair
+  test('Should compare fields moved by pathMap as a single pair', () => {
+    const v1 = { id: 1, profile: { fullName: 'Ann Lee', age: 30 } };
+    const v2 = { id: 1, profile: { age: 30 }, name: { display: 'Ann Lee' } };
+
+    const comparator = new JSONCompare({ pathMap: { 'profile.fullName': 'name.display' } });
+    const result = comparator.compare(v1, v2);
+
+    expect(result.unmatched.keys).toHaveLength(0);
+    expect(result.summary.matchPercentage).toBe(100);
+    expect(result.matched.values).toContainEqual(expect.objectContaining({
+      path: 'profile.fullName',
+      actualPath: 'name.display',
+      value: 'Ann Lee'
+    }));
+  });
+
+  // Test 13: Differences and missing targets are reported on the pair
+  test('Should report mismatched and missing mapped paths', () => {
+    const comparator = new JSONCompare({
+      pathMap: { 'profile.fullName': 'name.display', 'profile.nick': 'name.short' }
+    });
+    const result = comparator.compare(
+      { profile: { fullName: 'Ann', nick: 'A' } },
+      { name: { display: 'Anne' } }
+    );
+
+    expect(result.unmatched.values).toEqual([expect.objectContaining({
+      path: 'profile.fullName',
+      actualPath: 'name.display',
+      expected: 'Ann',
+      actual: 'Anne'
+    })]);
+    expect(result.unmatched.keys).toEqual([expect.objectContaining({
+      path: 'profile.nick',
+      actualPath: 'name.short'
+    })]);
+  });
+
+  // Test 14: Renamed keys at any depth
+  test('Should pair renamed keys with keyMap', () => {
+    const comparator = new JSONCompare({ keyMap: { fullName: 'displayName' } });
+    const result = comparator.compare(
+      { users: [{ fullName: 'Ann' }, { fullName: 'Bob' }] },
+      { users: [{ displayName: 'Ann' }, { displayName: 'Rob' }] }
+    );
+
+    expect(result.unmatched.keys).toHaveLength(0);
+    expect(result.unmatched.values).toEqual([expect.objectContaining({
+      path: 'users[1].fullName',
+      actualPath: 'users[1].displayName'
+    })]);
+    expect(comparator.isEqual({ fullName: 'Ann' }, { displayName: 'Ann' })).toBe(true);
+  });
+
+  // Test 15: Symbol keys are compared when enabled
+  test('Should compare symbol keys with includeSymbolKeys', () => {
+    const meta = Symbol('meta');
+    const obj1 = { id: 1, [meta]: { version: 1 } };
+    const obj2 = { id: 1, [meta]: { version: 2 } };
+
+    expect(new JSONCompare().compare(obj1, obj2).summary.matchPercentage).toBe(100);
+
+    const result = new JSONCompare({ includeSymbolKeys: true }).compare(obj1, { id: 1 });
+    expect(result.unmatched.keys).toEqual([{
+      path: '[Symbol(meta)]',
+      value: { version: 1 },
+      change: 'removed',
+      message: 'Symbol key exists in object 1 but not in object 2'
+    }]);
+
+    const nested = new JSONCompare({ includeSymbolKeys: true }).compare(obj1, obj2);
+    expect(nested.unmatched.values[0].path).toBe('[Symbol(meta)].version');
+  });
+
+  // Test 16: Own non-enumerable properties are compared when enabled
+  test('Should compare non-enumerable properties with includeNonEnumerable', () => {
+    const obj1 = { a: 1 };
+    const obj2 = { a: 1 };
+    Object.defineProperty(obj1, 'hidden', { value: 'x', enumerable: false });
+
+    const result = new JSONCompare({ includeNonEnumerable: true }).compare(obj1, obj2);
+    expect(result.unmatched.keys).toEqual([{
+      path: 'hidden',
+      value: 'x',
+      change: 'removed',
+      message: 'Non-enumerable property exists in object 1 but not in object 2'
+    }]);
+  });
+
+  // Test 17: Prototype differences are reported when enabled
+  test('Should report differing prototypes with checkPrototype', () => {
+    class Order {
+      constructor() {
+        this.id = 1;
+      }
+    }
+
+    expect(new JSONCompare().compare(new Order(), { id: 1 }).summary.matchPercentage).toBe(100);
+
+    const result = new JSONCompare({ checkPrototype: true }).compare({ order: new Order() }, { order: { id: 1 } });
+    expect(result.unmatched.types).toEqual([{
+      path: 'order',
+      expected: 'Order',
+      actual: 'Object',
+      message: 'Prototype differs: Order vs Object'
+    }]);
+  });
+
+  // Test 18: Keys named after inherited members are not matched against the prototype
+  test('Should report keys named like prototype members as missing', () => {
+    const obj1 = { toString: 'custom', constructor: 'Order', hasOwnProperty: false };
+    const result = new JSONCompare().compare(obj1, {});
+
+    expect(result.unmatched.keys.map(item => item.path)).toEqual(['toString', 'constructor', 'hasOwnProperty']);
+    expect(result.matched.keys).toHaveLength(0);
+
+    const reverse = new JSONCompare().compare({}, obj1);
+    expect(reverse.unmatched.keys.map(item => item.message)).toEqual([
+      'Key exists in object 2 but not in object 1',
+      'Key exists in object 2 but not in object 1',
+      'Key exists in object 2 but not in object 1'
+    ]);
+  });
+
+  // Test 19: __proto__ keys from parsed JSON are compared as ordinary keys
+  test('Should compare own __proto__ keys from parsed JSON safely', () => {
+    const obj1 = JSON.parse('{"__proto__": {"isAdmin": true}, "name": "a"}');
+    const obj2 = JSON.parse('{"__proto__": {"isAdmin": false}, "name": "a"}');
+
+    const result = new JSONCompare().compare(obj1, obj2);
+    expect(result.unmatched.values).toEqual([
+      expect.objectContaining({ path: '__proto__.isAdmin', expected: true, actual: false })
+    ]);
+
+    const missing = new JSONCompare().compare(obj1, { name: 'a' });
+    expect(missing.unmatched.keys).toEqual([
+      expect.objectContaining({ path: '__proto__', value: { isAdmin: true } })
+    ]);
+    expect(Object.getPrototypeOf(obj1)).toBe(Object.prototype);
+    expect({}.isAdmin).toBeUndefined();
+  });
+
+  // Test 20: Path lookups and key-name regex checks only follow own properties
+  test('Should only follow own properties in path lookups and regex checks', () => {
+    const PathUtils = require('../src/PathUtils');
+    expect(PathUtils.getValueAtPath({ a: {} }, 'a.constructor')).toBeUndefined();
+    expect(PathUtils.hasPath({ a: {} }, 'a.toString')).toBe(false);
+    expect(PathUtils.getValueAtPath({ a: { constructor: 'x' } }, 'a.constructor')).toBe('x');
+
+    const comparator = new JSONCompare({
+      regexChecks: { constructor: /^[A-Z]/ },
+      matchKeysByName: true
+    });
+    const result = comparator.compareAndValidate({ item: {} }, { item: {}, meta: { constructor: 'order' } });
+    expect(result.regexChecks.failed).toEqual([
+      expect.objectContaining({ path: 'meta.constructor', value: 'order', matchedByName: true })
+    ]);
+  });
+
+  // Test 21: Acronyms in camelCase keys split like single words
+  test('Should pair keys with acronyms across naming conventions', () => {
+    const comparator = new JSONCompare({ keyNormalizer: 'snakeCamelKebab' });
+    const result = comparator.compare(
+      { HTTPCode: 200, parseXMLFile: true, userID: 1 },
+      { http_code: 200, 'parse-xml-file': true, user_id: 1 }
+    );
+
+    expect(result.unmatched.keys).toHaveLength(0);
+    expect(comparator.compare({ HTTPCode: 200 }, { httpCode: 200 }).unmatched.keys).toHaveLength(0);
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * @fileoverview Unit tests for path-scoped options in JSONCompare
+ */
+
+const JSONCompare = require('../index');
+
+describe('Path Option Tests', () => {
+  const rates = { EUR: 1, USD: 2 };
+  const sameMoney = (expected, actual) =>
+    expected.amount * rates[expected.currency] === actual.amount * rates[actual.currency];
+
+  // Test 1: Custom comparator replaces the default object comparison
+  test('Should use a custom comparator for matching paths', () => {
+    const comparator = new JSONCompare({
+      comparators: { 'items[*].price': sameMoney }
+    });
+    const result = comparator.compare(
+      { items: [{ price: { amount: 10, currency: 'USD' } }] },
+      { items: [{ price: { amount: 20, currency: 'EUR' } }] }
+    );
+
+    expect(result.unmatched.values).toHaveLength(0);
+    expect(result.matched.values).toContainEqual({
+      path: 'items[0].price',
+      value: { amount: 10, currency: 'USD' },
+      message: 'Values matched by custom comparator'
+    });
+  });
+
+  // Test 2: Returned messages are included in the result
+  test('Should include the message returned by a custom comparator', () => {
+    const contexts = [];
+    const comparator = new JSONCompare({
+      comparators: {
+        version: (expected, actual, context) => {
+          contexts.push(context);
+          return { match: actual >= expected, message: `Expected at least ${expected}` };
+        }
+      }
+    });
+    const result = comparator.compare({ version: 3 }, { version: 2 });
+
+    expect(result.unmatched.values).toEqual([{
+      path: 'version',
+      expected: 3,
+      actual: 2,
+      message: 'Expected at least 3'
+    }]);
+    expect(contexts[0]).toMatchObject({ path: 'version', key: 'version' });
+  });
+
+  // Test 3: Ignored path patterns with wildcards
+  test('Should ignore paths matching ignoredPaths patterns', () => {
+    const obj1 = {
+      createdAt: 1,
+      items: [{ id: 1, meta: { updatedAt: 1, note: 'a' } }],
+      config: { db: { secret: 'x', host: 'a' } }
+    };
+    const obj2 = {
+      createdAt: 2,
+      items: [{ id: 2, meta: { updatedAt: 2, note: 'a', createdAt: 3 } }],
+      config: { db: { secret: 'y', host: 'b' } }
+    };
+
+    const comparator = new JSONCompare({
+      ignoredPaths: ['items[*].id', '**.createdAt', 'config.*.secret', 'items[*].meta.updatedAt']
+    });
+    const result = comparator.compare(obj1, obj2);
+
+    expect(result.unmatched.keys).toHaveLength(0);
+    expect(result.unmatched.values.map(item => item.path)).toEqual(['config.db.host']);
+    expect(result.ignoredPaths).toEqual([]);
+  });
+
+  // Test 4: Ignored paths can be listed in the result
+  test('Should list ignored paths when listIgnoredPaths is enabled', () => {
+    const comparator = new JSONCompare({
+      ignoredPaths: ['users[*].token'],
+      listIgnoredPaths: true
+    });
+    const result = comparator.compare(
+      { users: [{ name: 'a', token: 1 }, { name: 'b' }] },
+      { users: [{ name: 'a', token: 2 }, { name: 'b', token: 3 }] }
+    );
+
+    expect(result.summary.matchPercentage).toBe(100);
+    expect(result.ignoredPaths).toEqual(['users[0].token', 'users[1].token']);
+  });
+
+  // Test 5: Ignored key names still match exactly, not by prefix
+  test('Should not ignore paths that only share a prefix with a pattern', () => {
+    const comparator = new JSONCompare({ ignoredPaths: ['**.id'] });
+    const result = comparator.compare({ uuid: 1, nested: { id: 1 } }, { uuid: 2, nested: { id: 2 } });
+
+    expect(result.unmatched.values.map(item => item.path)).toEqual(['uuid']);
+  });
+
+  // Test 6: Subtrees beyond maxDepth are reported as one entry
+  test('Should compare subtrees beyond maxDepth as a whole', () => {
+    const comparator = new JSONCompare({ maxDepth: 1 });
+    const result = comparator.compare(
+      { id: 1, profile: { address: { city: 'A', zip: '1' } }, tags: ['a'] },
+      { id: 1, profile: { address: { city: 'B', zip: '2' } }, tags: ['a'] }
+    );
+
+    expect(result.matched.keys).toEqual(['id', 'profile', 'tags']);
+    expect(result.unmatched.values).toHaveLength(1);
+    expect(result.unmatched.values[0]).toMatchObject({
+      path: 'profile',
+      message: 'Subtrees differ beyond maxDepth 1'
+    });
+    expect(result.matched.values).toContainEqual(expect.objectContaining({
+      path: 'tags',
+      message: 'Subtrees match beyond maxDepth'
+    }));
+  });
+
+  // Test 7: The structural check still honours the other options
+  test('Should honour options in the structural check beyond maxDepth', () => {
+    const comparator = new JSONCompare({ maxDepth: 0, ignoredKeys: ['updatedAt'] });
+    const result = comparator.compare(
+      { config: { updatedAt: 1, value: true } },
+      { config: { updatedAt: 2, value: true } }
+    );
+
+    expect(result.unmatched.values).toHaveLength(0);
+    expect(result.matched.values[0].path).toBe('');
+  });
+
+  // Test 8: Equivalence rules scoped to paths
+  test('Should apply scoped equivalence rules only at matching paths', () => {
+    const comparator = new JSONCompare({
+      equivalentValues: {
+        flags: { values: [0, '0', false], paths: ['settings.*'] }
+      }
+    });
+    const result = comparator.compare(
+      { settings: { beta: 0 }, count: 0 },
+      { settings: { beta: false }, count: false }
+    );
+
+    expect(result.unmatched.types.map(item => item.path)).toEqual(['count']);
+    expect(result.matched.values[0].message).toBe('Values considered equivalent by rule "flags"');
+  });
+
+  // Test 9: Predicate rules apply to objects and arrays too
+  test('Should treat empty values as equivalent with a predicate rule', () => {
+    const isEmpty = value => value === null || value === '' ||
+      (Array.isArray(value) && value.length === 0) ||
+      (value !== null && typeof value === 'object' && Object.keys(value).length === 0);
+    const comparator = new JSONCompare({
+      equivalentValues: { empty: { predicate: isEmpty } }
+    });
+    const result = comparator.compare(
+      { tags: [], meta: {}, note: null, name: 'x' },
+      { tags: {}, meta: null, note: '', name: '' }
+    );
+
+    expect(result.unmatched.types).toHaveLength(0);
+    expect(result.unmatched.values.map(item => item.path)).toEqual(['name']);
+    expect(result.matched.values.find(item => item.path === 'tags').value).toBe('[] ≈ {}');
+  });
+
+  // Test 10: Regex checks still run inside subtrees beyond maxDepth
+  test('Should run regex checks inside subtrees beyond maxDepth', () => {
+    const comparator = new JSONCompare({ maxDepth: 1, regexChecks: { 'users[0].email': /@/ } });
+    const obj = { users: [{ email: 'bad' }] };
+
+    expect(comparator.compareAndValidate(obj, obj).regexChecks.failed).toEqual([
+      expect.objectContaining({ path: 'users[0].email', value: 'bad' })
+    ]);
+    expect(comparator.compareAndValidate(obj, { users: [{ email: 'a@example.com' }] }).regexChecks.passed)
+      .toEqual([expect.objectContaining({ path: 'users[0].email' })]);
+  });
+});
@@ -0,0 +1,285 @@
+/**
+ * @fileoverview Unit tests for value comparison rules in JSONCompare
+ */
+
+const JSONCompare = require('../index');
+
+describe('Value Comparison Tests', () => {
+  // Test 1: Global absolute tolerance for floating point noise
+  test('Should match numbers within a global absolute tolerance', () => {
+    const comparator = new JSONCompare({ numericTolerance: 1e-9 });
+    const result = comparator.compare({ total: 0.1 + 0.2 }, { total: 0.3 });
+
+    expect(result.unmatched.values).toHaveLength(0);
+    expect(result.matched.values[0].delta).toBeGreaterThan(0);
+    expect(result.matched.values[0].message).toBe('Values match within numeric tolerance');
+  });
+
+  // Test 2: Per-path relative tolerance with the delta recorded
+  test('Should apply relative tolerance only to matching paths', () => {
+    const comparator = new JSONCompare({
+      numericTolerance: { 'metrics.*': { relative: 0.01 } }
+    });
+    const result = comparator.compare(
+      { metrics: { latency: 100, errors: 10 }, price: 9.99 },
+      { metrics: { latency: 100.5, errors: 12 }, price: 9.991 }
+    );
+
+    const paths = result.unmatched.values.map(item => item.path);
+    expect(paths).toEqual(['metrics.errors', 'price']);
+    expect(result.unmatched.values[0].delta).toBe(2);
+    expect(result.unmatched.values[0].message).toContain('numeric tolerance');
+    expect(result.unmatched.values[1].delta).toBeUndefined();
+  });
+
+  // Test 3: Absolute and relative tolerances combined
+  test('Should accept either absolute or relative tolerance', () => {
+    const comparator = new JSONCompare({
+      numericTolerance: { '**': { absolute: 0.5, relative: 0.001 } }
+    });
+    const result = comparator.compare(
+      { small: 1, large: 10000 },
+      { small: 1.4, large: 10009 }
+    );
+
+    expect(result.unmatched.values).toHaveLength(0);
+
+    // Fields named like the tolerance settings are ordinary paths
+    const byField = new JSONCompare({ numericTolerance: { relative: 0.5 } }).compare(
+      { relative: 1, absolute: 1 },
+      { relative: 1.4, absolute: 1.4 }
+    );
+    expect(byField.unmatched.values.map(item => item.path)).toEqual(['absolute']);
+    expect(new JSONCompare({ numericTolerance: {} }).compare({ n: 1 }, { n: 1 }).matched.values[0].delta).toBeUndefined();
+  });
+
+  // Test 4: Dates are compared by the instant they hold
+  test('Should report Dates holding different instants', () => {
+    const comparator = new JSONCompare();
+    const result = comparator.compare(
+      { createdAt: new Date('2025-01-01T00:00:00Z'), updatedAt: new Date('2025-01-02T00:00:00Z') },
+      { createdAt: new Date('2025-01-01T00:00:00Z'), updatedAt: new Date('2025-01-02T00:00:05Z') }
+    );
+
+    expect(result.unmatched.values).toHaveLength(1);
+    expect(result.unmatched.values[0]).toMatchObject({ path: 'updatedAt', delta: 5000, message: 'Dates differ by 5000ms' });
+  });
+
+  // Test 5: Timestamps a few milliseconds apart match within tolerance
+  test('Should match Dates within dateToleranceMs', () => {
+    const comparator = new JSONCompare({ dateToleranceMs: 1000 });
+    const result = comparator.compare(
+      { at: new Date(1700000000000) },
+      { at: new Date(1700000000250) }
+    );
+
+    expect(result.unmatched.values).toHaveLength(0);
+    expect(result.matched.values[0]).toMatchObject({ path: 'at', delta: 250 });
+  });
+
+  // Test 6: Invalid dates are flagged
+  test('Should flag invalid dates', () => {
+    const comparator = new JSONCompare();
+    const result = comparator.compare(
+      { at: new Date('not a date') },
+      { at: new Date(0) }
+    );
+
+    expect(result.unmatched.values[0].message).toBe('Invalid date in object 1');
+  });
+
+  // Test 7: BigInt equality, including numeric strings in non-strict mode
+  test('Should compare BigInt values', () => {
+    const strict = new JSONCompare();
+    const strictResult = strict.compare(
+      { big: 2n ** 64n, other: 1n },
+      { big: 2n ** 64n + 1n, other: 1n }
+    );
+    expect(strictResult.unmatched.values.map(item => item.path)).toEqual(['big']);
+
+    const loose = new JSONCompare({ strictTypes: false });
+    const looseResult = loose.compare(
+      { id: 18446744073709551616n },
+      { id: '18446744073709551616' }
+    );
+    expect(looseResult.unmatched.values).toHaveLength(0);
+  });
+
+  // Test 8: Binary payloads are summarised as a single entry
+  test('Should compare Buffers byte-wise with the first differing offset', () => {
+    const payload1 = Buffer.alloc(4096, 1);
+    const payload2 = Buffer.alloc(4096, 1);
+    payload2[1000] = 2;
+
+    const comparator = new JSONCompare();
+    const result = comparator.compare({ payload: payload1 }, { payload: payload2 });
+
+    expect(result.matched.keys).toEqual(['payload']);
+    expect(result.unmatched.values).toHaveLength(1);
+    expect(result.unmatched.values[0]).toMatchObject({
+      path: 'payload',
+      offset: 1000,
+      message: 'Binary data differs at byte offset 1000'
+    });
+  });
+
+  // Test 9: Typed arrays of different kinds and lengths
+  test('Should report typed array type and length differences', () => {
+    const comparator = new JSONCompare();
+    const typeResult = comparator.compare(new Uint8Array([1, 2]), new Int8Array([1, 2]));
+    expect(typeResult.unmatched.types[0]).toMatchObject({ expected: 'uint8array', actual: 'int8array' });
+
+    const lengthResult = comparator.compare(new Float32Array([1, 2]), new Float32Array([1, 2, 3]));
+    expect(lengthResult.unmatched.values[0]).toMatchObject({ offset: 8, message: 'Binary lengths do not match: 8 vs 12 bytes' });
+
+    const equalResult = comparator.compare({ data: new Uint16Array([1, 2]) }, { data: new Uint16Array([1, 2]) });
+    expect(equalResult.matched.values[0]).toMatchObject({ path: 'data', value: 'Uint16Array(4 bytes)' });
+  });
+
+  // Test 10: Boxed primitives are compared by value
+  test('Should compare boxed primitives by their value', () => {
+    const comparator = new JSONCompare();
+    const result = comparator.compare(
+      { name: new String('abc'), count: new Number(1), flag: true },
+      { name: 'abc', count: new Number(2), flag: new Boolean(true) }
+    );
+
+    expect(result.unmatched.types).toHaveLength(0);
+    expect(result.unmatched.values).toHaveLength(1);
+    expect(result.unmatched.values[0]).toMatchObject({ path: 'count', expected: 1, actual: 2 });
+  });
+
+  // Test 11: Number equality semantics for NaN and signed zero
+  test('Should honour the numberEquality option', () => {
+    const obj1 = { nan: NaN, zero: 0 };
+    const obj2 = { nan: NaN, zero: -0 };
+    const unmatchedPaths = numberEquality => new JSONCompare({ numberEquality })
+      .compare(obj1, obj2)
+      .unmatched.values.map(item => item.path);
+
+    expect(unmatchedPaths('strict')).toEqual(['nan']);
+    expect(unmatchedPaths('sameValue')).toEqual(['zero']);
+    expect(unmatchedPaths('sameValueZero')).toEqual([]);
+  });
+
+  // Test 12: Equivalence lists follow the same number semantics
+  test('Should apply numberEquality inside equivalentValues lookups', () => {
+    const options = { equivalentValues: { missing: [NaN, null] }, strictTypes: false };
+
+    const unset = new JSONCompare(options).compare({ value: NaN }, { value: null });
+    expect(unset.unmatched.values).toHaveLength(0);
+
+    const strict = new JSONCompare({ ...options, numberEquality: 'strict' }).compare({ value: NaN }, { value: null });
+    expect(strict.unmatched.values).toHaveLength(1);
+
+    const sameValue = new JSONCompare({ ...options, numberEquality: 'sameValue' }).compare({ value: NaN }, { value: null });
+    expect(sameValue.unmatched.values).toHaveLength(0);
+    expect(sameValue.matched.values[0].message).toBe('Values considered equivalent by rule "missing"');
+  });
+
+  // Test 13: Built-in normalizers applied to both sides
+  test('Should normalise values per path before comparing', () => {
+    const comparator = new JSONCompare({
+      normalizers: {
+        'users[*].email': ['trim', 'lowercase'],
+        'users[*].balance': 'round(2)',
+        tags: 'sortArray'
+      }
+    });
+    const result = comparator.compare(
+      { users: [{ email: ' Ann@Example.com', balance: 10.004 }], tags: ['b', 'a', 'c'] },
+      { users: [{ email: 'ann@example.com ', balance: 10.001 }], tags: ['c', 'b', 'a'] }
+    );
+
+    expect(result.unmatched.values).toHaveLength(0);
+    expect(result.matched.values.find(item => item.path === 'users[0].email')).toMatchObject({
+      value: 'ann@example.com',
+      raw: { expected: ' Ann@Example.com', actual: 'ann@example.com ' }
+    });
+  });
+
+  // Test 14: Raw values are kept on differences and custom normalizers run in order
+  test('Should keep raw values on differences and support custom normalizers', () => {
+    const comparator = new JSONCompare({
+      normalizers: { '**.sku': [value => String(value).replace(/-/g, ''), 'lowercase'] }
+    });
+    const result = comparator.compare(
+      { item: { sku: 'AB-12', price: 5 } },
+      { item: { sku: 'ab-13', price: 5 } }
+    );
+
+    expect(result.unmatched.values).toEqual([expect.objectContaining({
+      path: 'item.sku',
+      expected: 'ab12',
+      actual: 'ab13',
+      raw: { expected: 'AB-12', actual: 'ab-13' }
+    })]);
+    expect(result.matched.values.find(item => item.path === 'item.price').raw).toBeUndefined();
+
+    expect(() => new JSONCompare({ normalizers: { a: 'reverse' } }).compare({ a: 1 }, { a: 1 }))
+      .toThrow('Unknown normalizer "reverse"');
+  });
+
+  // Test 15: Rounding and sorting leave other types alone
+  test('Should only apply built-in normalizers to matching value types', () => {
+    const comparator = new JSONCompare({
+      normalizers: { '*': ['round(1)', 'sortArray', 'trim'] }
+    });
+    const result = comparator.compare(
+      { ratio: 0.24, list: [3, 1, 2], label: 'x', flag: true },
+      { ratio: 0.26, list: [1, 2, 3], label: 'x ', flag: true }
+    );
+
+    expect(result.unmatched.values.map(item => item.path)).toEqual(['ratio']);
+    expect(result.unmatched.values[0]).toMatchObject({ expected: 0.2, actual: 0.3, raw: { expected: 0.24, actual: 0.26 } });
+  });
+
+  // Test 16: Objects without a usable constructor are typed as plain objects
+  test('Should type objects without a constructor as objects', () => {
+    const comparator = new JSONCompare();
+    const result = comparator.compare(
+      { bare: Object.create(null), shadowed: { constructor: 'x' } },
+      { bare: 1, shadowed: 1 }
+    );
+
+    expect(result.unmatched.types.map(item => [item.path, item.expected, item.actual])).toEqual([
+      ['bare', 'object', 'number'],
+      ['shadowed', 'object', 'number']
+    ]);
+  });
+
+  // Test 17: Sorted arrays report differences at the original indices
+  test('Should report elements of sorted arrays at their original indices', () => {
+    const obj1 = { tags: ['b', 'a', 'z'] };
+    const obj2 = { tags: ['c', 'b', 'a'] };
+    const result = new JSONCompare({ normalizers: { tags: 'sortArray' } }).compare(obj1, obj2);
+
+    expect(result.unmatched.values).toHaveLength(1);
+    expect(result.unmatched.values[0]).toMatchObject({
+      path: 'tags[2]',
+      actualPath: 'tags[0]',
+      expected: 'z',
+      actual: 'c'
+    });
+
+    const mapped = new JSONCompare({ normalizers: { tags: value => value.map(tag => tag.toUpperCase()) } })
+      .compare(obj1, obj2);
+    expect(mapped.unmatched.values).toEqual([expect.objectContaining({
+      path: 'tags',
+      expected: ['B', 'A', 'Z'],
+      actual: ['C', 'B', 'A'],
+      raw: { expected: obj1.tags, actual: obj2.tags },
+      message: 'Normalised values differ'
+    })]);
+  });
+
+  // Test 18: Misspelt option values are rejected instead of ignored
+  test('Should reject unknown missingKeyPolicy and numberEquality values', () => {
+    expect(() => new JSONCompare({ missingKeyPolicy: 'nullEqualMissing' }))
+      .toThrow('Unknown missingKeyPolicy "nullEqualMissing"');
+    expect(() => new JSONCompare({ numberEquality: 'samevalue' }))
+      .toThrow('Unknown numberEquality "samevalue"');
+    expect(() => new JSONCompare({ missingKeyPolicy: 'nullEqualsMissing', numberEquality: 'sameValueZero' }))
+      .not.toThrow();
+  });
+});
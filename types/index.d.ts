@@ -13,11 +13,25 @@ declare module 'json-deep-compare' {
      * Keys to ignore during comparison
      */
     ignoredKeys?: string[];
+
+    /**
+     * Path patterns to ignore during comparison. `[*]` matches any array
+     * index, `*` any single key and `**` any depth, e.g. `items[*].id`,
+     * `**.createdAt` or `config.*.secret`
+     */
+    ignoredPaths?: string[];
+
+    /**
+     * Whether to list the paths skipped by `ignoredPaths` in the result
+     */
+    listIgnoredPaths?: boolean;
     
     /**
-     * Values to treat as equivalent
+     * Values to treat as equivalent, keyed by rule name. A rule is either a
+     * list of equivalent values, or an object with a `values` list and/or a
+     * `predicate`, optionally scoped to `paths` patterns.
      */
-    equivalentValues?: Record<string, any[]>;
+    equivalentValues?: Record<string, any[] | EquivalenceRule>;
     
     /**
      * Regex patterns for value validation
@@ -33,11 +47,188 @@ declare module 'json-deep-compare' {
      * Whether to ignore keys in obj2 that aren't in obj1
      */
     ignoreExtraKeys?: boolean;
+
+    /**
+     * Pair keys whose names differ only by convention: `'caseInsensitive'`,
+     * `'snakeCamelKebab'` (`user_id`, `userId` and `user-id` are equal) or a
+     * custom function returning the normalised key. Entries under a paired
+     * key report the second object's path as `actualPath`.
+     */
+    keyNormalizer?: 'caseInsensitive' | 'snakeCamelKebab' | ((key: string) => string) | null;
+
+    /**
+     * Key names of the first object mapped to their renamed key in the
+     * second object, applied at any depth (e.g. `{ fullName: 'displayName' }`)
+     */
+    keyMap?: Record<string, string>;
+
+    /**
+     * Paths of the first object mapped to the path the value moved to in the
+     * second object (e.g. `{ 'profile.fullName': 'name.display' }`). Each pair
+     * is reported once, with the second object's path as `actualPath`.
+     */
+    pathMap?: Record<string, string>;
+
+    /**
+     * Whether to compare symbol-keyed properties
+     */
+    includeSymbolKeys?: boolean;
+
+    /**
+     * Whether to compare own non-enumerable properties
+     */
+    includeNonEnumerable?: boolean;
+
+    /**
+     * Whether to report objects whose prototypes differ, such as a class
+     * instance and a plain object ("Prototype differs: Order vs Object")
+     */
+    checkPrototype?: boolean;
+
+    /**
+     * How a key missing on one side compares to the other side's value:
+     * `'strict'` reports it, `'undefinedEqualsMissing'` matches an undefined
+     * value and `'nullEqualsMissing'` matches a null or undefined value
+     */
+    missingKeyPolicy?: 'strict' | 'undefinedEqualsMissing' | 'nullEqualsMissing';
     
     /**
      * Whether to match regex by key name instead of only by path
      */
     matchKeysByName?: boolean;
+
+    /**
+     * Identity key used to pair array elements instead of pairing by index,
+     * keyed by array path or pattern (e.g. `{ 'orders[*].lines': 'sku' }`)
+     */
+    arrayKeys?: Record<string, string>;
+
+    /**
+     * Compare arrays as unordered collections, either everywhere (`true`)
+     * or only at the given array paths or patterns
+     */
+    unorderedArrays?: boolean | string[];
+
+    /**
+     * Diff arrays as sequences (longest common subsequence), reporting added,
+     * removed and changed elements with their original and new indices,
+     * either everywhere (`true`) or only at the given array paths or patterns
+     */
+    sequenceDiff?: boolean | string[];
+
+    /**
+     * Tolerance for comparing numbers: an absolute tolerance applied
+     * everywhere, or a map of path patterns to an absolute or
+     * `{ absolute, relative }` tolerance (e.g. `{ 'metrics.*': { relative: 0.01 } }`,
+     * or `{ '**': { relative: 0.01 } }` for every path)
+     */
+    numericTolerance?: number | Record<string, number | NumericTolerance>;
+
+    /**
+     * How numbers are compared, including inside `equivalentValues` lists:
+     * `'strict'` (===), `'sameValue'` (Object.is: NaN equals NaN, 0 differs
+     * from -0) or `'sameValueZero'` (NaN equals NaN, 0 equals -0). When unset,
+     * values compare with === and `equivalentValues` lists with `Array#includes`
+     */
+    numberEquality?: 'strict' | 'sameValue' | 'sameValueZero';
+
+    /**
+     * Maximum difference in milliseconds for two Dates to be considered equal
+     */
+    dateToleranceMs?: number;
+
+    /**
+     * Custom comparison functions keyed by path or pattern, run before the
+     * default comparison of the values at matching paths
+     */
+    comparators?: Record<string, CustomComparator>;
+
+    /**
+     * Transforms applied to both values before they are compared, keyed by
+     * path or pattern. The raw values are kept on the result entries as `raw`.
+     * Elements of arrays that were only reordered, e.g. by `'sortArray'`, are
+     * reported at their original indices; arrays changed in another way are
+     * compared as a whole.
+     */
+    normalizers?: Record<string, Normalizer | Normalizer[]>;
+
+    /**
+     * Depth beyond which subtrees are compared as a whole, reporting one
+     * entry per differing subtree. The root is at depth 0.
+     */
+    maxDepth?: number | null;
+
+    /**
+     * Keep at most this many differences, stopping the comparison and
+     * marking the result as truncated when another is found; 0 only detects
+     * whether any difference exists
+     */
+    maxDifferences?: number | null;
+  }
+
+  /**
+   * Context passed to a custom comparator
+   */
+  export interface ComparatorContext {
+    /** Path of the compared values */
+    path: string;
+    /** Key name of the compared values */
+    key: string;
+    /** Options of the comparison */
+    options: JSONCompareOptions;
+  }
+
+  /**
+   * Custom comparison function. Returns whether the values match, or an
+   * object with the verdict and a message to include in the result.
+   */
+  export type CustomComparator = (
+    expected: any,
+    actual: any,
+    context: ComparatorContext
+  ) => boolean | { match: boolean; message?: string };
+
+  /**
+   * Value normalizer: a built-in such as `'trim'`, `'lowercase'`,
+   * `'round(2)'` or `'sortArray'`, or a function returning the value to compare
+   */
+  export type Normalizer =
+    | 'trim'
+    | 'lowercase'
+    | 'sortArray'
+    | `round(${number})`
+    | ((value: any, context: ComparatorContext) => any);
+
+  /**
+   * Values at a path before the normalizers option transformed them
+   */
+  export interface RawValues {
+    expected: any;
+    actual: any;
+  }
+
+  /**
+   * Equivalence rule: two values are equivalent when both are in `values`
+   * or both satisfy `predicate`, at a path matching one of `paths`
+   */
+  export interface EquivalenceRule {
+    /** Values that are equivalent to each other */
+    values?: any[];
+    /** Predicate that every equivalent value satisfies */
+    predicate?: (value: any, context: { path: string }) => boolean;
+    /** Path patterns the rule is limited to; applies everywhere when omitted */
+    paths?: string[];
+  }
+
+  /**
+   * Tolerance for numeric comparisons. Values match when they are within
+   * either the absolute or the relative tolerance.
+   */
+  export interface NumericTolerance {
+    /** Maximum absolute difference */
+    absolute?: number;
+    /** Maximum difference relative to the larger magnitude of the two values */
+    relative?: number;
   }
   
   /**
@@ -57,6 +248,20 @@ declare module 'json-deep-compare' {
     type1?: string;
     type2?: string;
     message?: string;
+    /** Index of the element in the first array */
+    index1?: number;
+    /** Index of the element in the second array */
+    index2?: number;
+    /** Absolute difference, when a numeric or date tolerance applies */
+    delta?: number;
+    /** Whether the entry describes a circular reference */
+    circular?: boolean;
+    /** Policy that matched a key missing on one side */
+    missingKeyPolicy?: 'undefinedEqualsMissing' | 'nullEqualsMissing';
+    /** Path in the second object, when it differs from `path` */
+    actualPath?: string;
+    /** Raw values, when normalizers changed the compared values */
+    raw?: RawValues;
   }
 
   /**
@@ -66,6 +271,14 @@ declare module 'json-deep-compare' {
     path: string;
     value: any;
     message: string;
+    /** Whether the key was removed from or added in the second object */
+    change?: 'added' | 'removed';
+    /** Path in the second object, when it differs from `path` */
+    actualPath?: string;
+    /** JSON Pointer of the location in the first object, when one can address it; not enumerable */
+    pointer?: string;
+    /** JSON Pointer of the location in the second object, for entries with an `actualPath`; not enumerable */
+    actualPointer?: string;
   }
 
   /**
@@ -78,6 +291,32 @@ declare module 'json-deep-compare' {
     expectedType?: string;
     actualType?: string;
     message: string;
+    /** Identity key of the array element, when arrays are paired by key */
+    key?: any;
+    /** Index of the element in the first array */
+    index1?: number;
+    /** Index of the element in the second array */
+    index2?: number;
+    /** Kind of array element change */
+    change?: 'added' | 'removed' | 'changed';
+    /** Length of the first array, when array lengths differ */
+    expectedLength?: number;
+    /** Length of the second array, when array lengths differ */
+    actualLength?: number;
+    /** Absolute difference, when a numeric or date tolerance applies */
+    delta?: number;
+    /** Whether the entry describes a circular reference */
+    circular?: boolean;
+    /** First differing byte offset, when binary data is compared */
+    offset?: number;
+    /** Path in the second object, when it differs from `path` */
+    actualPath?: string;
+    /** JSON Pointer of the location in the first object, when one can address it; not enumerable */
+    pointer?: string;
+    /** JSON Pointer of the location in the second object, for entries with an `actualPath`; not enumerable */
+    actualPointer?: string;
+    /** Raw values, when normalizers changed the compared values */
+    raw?: RawValues;
   }
 
   /**
@@ -88,6 +327,18 @@ declare module 'json-deep-compare' {
     expected: string;
     actual: string;
     message: string;
+    /** Value in the first object */
+    expectedValue?: any;
+    /** Value in the second object */
+    actualValue?: any;
+    /** Path in the second object, when it differs from `path` */
+    actualPath?: string;
+    /** JSON Pointer of the location in the first object, when one can address it; not enumerable */
+    pointer?: string;
+    /** JSON Pointer of the location in the second object, for entries with an `actualPath`; not enumerable */
+    actualPointer?: string;
+    /** Raw values, when normalizers changed the compared values */
+    raw?: RawValues;
   }
 
   /**
@@ -98,6 +349,8 @@ declare module 'json-deep-compare' {
     value: any;
     pattern: string | RegExp;
     matchedByName?: boolean;
+    /** Path in the second object, when it differs from `path` */
+    actualPath?: string;
   }
 
   /**
@@ -109,6 +362,8 @@ declare module 'json-deep-compare' {
     pattern: string | RegExp;
     message: string;
     matchedByName?: boolean;
+    /** Path in the second object, when it differs from `path` */
+    actualPath?: string;
   }
 
   /**
@@ -120,6 +375,10 @@ declare module 'json-deep-compare' {
     totalMatched: number;
     totalUnmatched: number;
     totalRegexChecks: number;
+    /** Whether the comparison stopped early because maxDifferences was reached */
+    truncated: boolean;
+    /** Options in effect that can make different values compare as equal, e.g. numericTolerance */
+    lossyOptions: string[];
   }
 
   /**
@@ -139,9 +398,137 @@ declare module 'json-deep-compare' {
       passed: PassedRegexCheck[];
       failed: FailedRegexCheck[];
     };
+    /** Paths skipped by `ignoredPaths`, when `listIgnoredPaths` is enabled */
+    ignoredPaths: string[];
     summary: ResultSummary;
   }
 
+  /**
+   * RFC 6902 JSON Patch operation with an RFC 6901 JSON Pointer
+   */
+  export type JSONPatchOperation =
+    | { op: 'add'; path: string; value: any }
+    | { op: 'remove'; path: string }
+    | { op: 'replace'; path: string; value: any }
+    | { op: 'test'; path: string; value: any };
+
+  /**
+   * Convert a comparison result into JSON Patch operations that turn the
+   * first object into the second. Entries without a `pointer`, such as Map
+   * and Set entries, are left out.
+   * @param result - Result returned by `compare()`
+   * @param options - Set `test` to precede every `remove` and `replace` with a `test` operation
+   * @returns JSON Patch operations
+   */
+  export function toJSONPatch(result: JSONCompareResult, options?: { test?: boolean }): JSONPatchOperation[];
+
+  /**
+   * Apply a diff to the first compared object to reproduce the second,
+   * verifying that the object still holds the values the diff expects
+   * @param obj1 - Object to patch, left unchanged
+   * @param diff - Result of comparing `obj1` with the second object
+   * @returns The patched copy
+   * @throws DiffVerificationError when the object no longer matches the diff
+   * @throws Error when the diff is truncated, was made with options listed in `summary.lossyOptions`,
+   * or holds differences a JSON Patch cannot express
+   */
+  export function applyDiff<T = any>(obj1: any, diff: JSONCompareResult): T;
+
+  /**
+   * Revert a diff on the second compared object to reproduce the first,
+   * verifying that the object still holds the values the diff expects
+   * @param obj2 - Object to patch, left unchanged
+   * @param diff - Result of comparing the first object with `obj2`
+   * @returns The patched copy
+   * @throws DiffVerificationError when the object no longer matches the diff
+   * @throws Error when the diff is truncated, was made with options listed in `summary.lossyOptions`,
+   * or holds differences a JSON Patch cannot express
+   */
+  export function revertDiff<T = any>(obj2: any, diff: JSONCompareResult): T;
+
+  /**
+   * Difference left out of a merge patch because a merge patch cannot express it
+   */
+  export interface MergePatchWarning {
+    path: string;
+    message: string;
+  }
+
+  /**
+   * Convert a comparison result into the RFC 7386 merge patch that turns the
+   * first object into the second, with `null` for removed keys; when the
+   * second root is not a plain object, the patch is that root value
+   * @param result - Result returned by `compare()`
+   * @param obj2 - Second object; needed when its root is an array
+   * @returns Merge patch, and warnings for differences it cannot express,
+   * such as new `null` values, partial array changes and Map and Set entries
+   * @throws Error when the root is an array and `obj2` is not given
+   */
+  export function toMergePatch(result: JSONCompareResult, obj2?: any): { patch: any; warnings: MergePatchWarning[] };
+
+  /**
+   * Options for formatDiff
+   */
+  export interface FormatDiffOptions {
+    /** 'unified' for `-`/`+` lines, or 'sideBySide' for two columns (default: 'unified') */
+    mode?: 'unified' | 'sideBySide';
+    /** Unchanged lines shown around each change (default: 3) */
+    context?: number;
+    /** Whether to use ANSI colours (default: stdout is a TTY and NO_COLOR is unset) */
+    color?: boolean;
+    /** Total width of the side-by-side view (default: terminal width or 120) */
+    width?: number;
+    /** Names of the two documents in the header (default: ['object 1', 'object 2']) */
+    labels?: [string, string];
+  }
+
+  /**
+   * Render two documents as a diff of their pretty-printed JSON
+   * @param obj1 - First document
+   * @param obj2 - Second document
+   * @param result - Result of comparing the documents, used to mark type
+   * mismatches and failed regex checks
+   * @param options - Formatting options
+   * @returns Rendered diff, or an empty string when there is nothing to show
+   */
+  export function formatDiff(obj1: any, obj2: any, result?: JSONCompareResult, options?: FormatDiffOptions): string;
+
+  /**
+   * Error thrown when a diff no longer matches the document it is applied to
+   */
+  export class DiffVerificationError extends Error {
+    /** JSON Pointer of the mismatching location */
+    path: string;
+    /** Value the diff expected at the location */
+    expected?: any;
+    /** Value found at the location */
+    actual?: any;
+  }
+
+  /**
+   * Conflict between our and their changes in a three-way merge
+   */
+  export interface MergeConflict {
+    /** Path of the conflicting value, with array indices from the base where possible */
+    path: string;
+    /** Value in the base document, undefined when missing */
+    base: any;
+    /** Our value, undefined when we deleted it */
+    ours: any;
+    /** Their value, undefined when they deleted it */
+    theirs: any;
+    message: string;
+  }
+
+  /**
+   * Result of a three-way merge
+   */
+  export interface MergeResult<T = any> {
+    /** Merged document, keeping our value where changes conflict */
+    merged: T;
+    conflicts: MergeConflict[];
+  }
+
   /**
    * Main class for comparing JSON objects
    */
@@ -167,6 +554,25 @@ declare module 'json-deep-compare' {
      * @returns Structured comparison result with regex validation
      */
     compareAndValidate(obj1: any, obj2: any): JSONCompareResult;
+
+    /**
+     * Check whether two objects are equal under the configured options,
+     * stopping at the first difference
+     * @param obj1 - First object
+     * @param obj2 - Second object
+     * @returns Whether the objects are equal
+     */
+    isEqual(obj1: any, obj2: any): boolean;
+
+    /**
+     * Merge two independently edited copies of a base document, detecting
+     * changes with the configured options such as `ignoredKeys` and `arrayKeys`
+     * @param base - Common ancestor
+     * @param ours - Our edited copy
+     * @param theirs - Their edited copy
+     * @returns Merged document and the conflicting changes
+     */
+    merge<T = any>(base: any, ours: T, theirs: any): MergeResult<T>;
     
     /**
      * Validate an object against regex patterns
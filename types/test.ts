@@ -17,10 +17,13 @@ jest.mock('json-deep-compare', () => {
           matched: { keys: [], values: [] },
           unmatched: { keys: [], values: [], types: [] },
           regexChecks: { passed: [], failed: [] },
-          summary: { matchPercentage: 100, totalKeysCompared: 0, totalMatched: 0, totalUnmatched: 0, totalRegexChecks: 0 }
+          ignoredPaths: [],
+          summary: { matchPercentage: 100, totalKeysCompared: 0, totalMatched: 0, totalUnmatched: 0, totalRegexChecks: 0, truncated: false }
         };
       }
       compareAndValidate(obj1: any, obj2: any) { return this.compare(obj1, obj2); }
+      isEqual(obj1: any, obj2: any) { return true; }
+      merge(base: any, ours: any, theirs: any) { return { merged: ours, conflicts: [] }; }
       validate(obj: any) { return this.compare(obj, {}); }
       getOptions() { return {}; }
     }